@@ -0,0 +1,7 @@
+-- Index of routes stored in the edge page cache
+-- Lets the purge API clear every cached page when asked for "all"
+
+CREATE TABLE IF NOT EXISTS cached_pages (
+  route TEXT PRIMARY KEY,
+  cached_at TEXT NOT NULL
+);
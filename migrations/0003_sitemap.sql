@@ -0,0 +1,16 @@
+-- Sitemap entries generated from WordPress by the scheduled handler
+-- Served as /sitemap.xml (index) and /sitemap-<type>[-N].xml child sitemaps
+
+CREATE TABLE IF NOT EXISTS sitemap_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,            -- pages, posts, categories or images
+  position INTEGER NOT NULL,
+  loc TEXT NOT NULL,
+  lastmod TEXT,
+  changefreq TEXT,
+  priority TEXT,
+  images TEXT,                   -- JSON array of { loc, title } for image sitemaps
+  generated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sitemap_type_position ON sitemap_entries(type, position);
@@ -0,0 +1,9 @@
+-- Double opt-in for the newsletter
+-- confirmation_sent_at: when the latest confirmation link was emailed (NULL for
+--   subscribers from before double opt-in, who are never expired)
+-- confirmed_at: when the subscriber clicked the link
+
+ALTER TABLE newsletter_subscribers ADD COLUMN confirmation_sent_at TEXT;
+ALTER TABLE newsletter_subscribers ADD COLUMN confirmed_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_confirmation ON newsletter_subscribers(confirmed, confirmation_sent_at);
@@ -0,0 +1,33 @@
+-- Newsletter campaigns and per-recipient delivery status
+-- Deliveries are created when a campaign starts sending; the scheduled handler
+-- works through pending rows in batches, so an interrupted send resumes where it stopped
+
+CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  text TEXT,
+  status TEXT NOT NULL DEFAULT 'draft',  -- draft, scheduled, sending, sent, cancelled
+  scheduled_at TEXT,
+  started_at TEXT,
+  completed_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON newsletter_campaigns(status, scheduled_at);
+
+CREATE TABLE IF NOT EXISTS newsletter_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  campaign_id INTEGER NOT NULL REFERENCES newsletter_campaigns(id),
+  subscriber_id INTEGER NOT NULL,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, sending, sent, failed, skipped
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  claimed_at TEXT,
+  sent_at TEXT,
+  UNIQUE(campaign_id, subscriber_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_campaign_status ON newsletter_deliveries(campaign_id, status);
@@ -0,0 +1,4 @@
+-- Which form produced each newsletter signup: main, footer or api
+-- Subscribers from before this migration have no source
+
+ALTER TABLE newsletter_subscribers ADD COLUMN source TEXT;
@@ -0,0 +1,20 @@
+-- Outgoing email that could not be sent through the send_email binding
+-- The scheduled handler retries due rows with backoff until they are sent
+-- or MAX_ATTEMPTS is reached (status 'failed')
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sender TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT,
+  raw TEXT NOT NULL,                      -- complete MIME message
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, sending, sent, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  next_attempt_at TEXT NOT NULL,
+  claimed_at TEXT,
+  sent_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_status ON email_outbox(status, next_attempt_at);
@@ -0,0 +1,20 @@
+-- Email replies filed into contact submission threads by the email() handler
+-- Replies reach the worker at reply+<id>-<tag>@DOMAIN; message_id keeps
+-- redelivered mail from being stored twice
+
+CREATE TABLE IF NOT EXISTS contact_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  submission_id INTEGER NOT NULL REFERENCES contact_submissions(id),
+  author TEXT NOT NULL,                   -- visitor or staff
+  from_email TEXT NOT NULL,
+  from_name TEXT,
+  subject TEXT,
+  body TEXT NOT NULL,
+  message_id TEXT,
+  in_reply_to TEXT,
+  received_at TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(submission_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_messages_submission ON contact_messages(submission_id, received_at);
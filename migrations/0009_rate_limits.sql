@@ -0,0 +1,12 @@
+-- Per-IP submission counters for the public form endpoints
+-- key is "<scope>:<salted IP hash>"; window_start is the start of the fixed
+-- window in unix seconds. Old windows are deleted by the daily cleanup
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT NOT NULL,
+  window_start INTEGER NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_window ON rate_limits(window_start);
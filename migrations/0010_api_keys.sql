@@ -0,0 +1,16 @@
+-- API keys for management endpoints
+-- Only the SHA-256 hash of a key is stored; prefix (e.g. gek_AbC123xy) identifies
+-- it in listings and logs. scopes is a space-separated list, '*' grants everything
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  expires_at TEXT,
+  revoked_at TEXT
+);
@@ -0,0 +1,35 @@
+-- Daily analytics rollups
+-- Filled from page_views by the daily scheduled job (rollupDailyAnalytics) before the
+-- raw rows are deleted, so reports keep their history past the 90-day retention.
+-- date is a UTC YYYY-MM-DD day; visitors counts distinct session ids that day
+
+CREATE TABLE IF NOT EXISTS analytics_daily_totals (
+  date TEXT PRIMARY KEY,
+  views INTEGER NOT NULL DEFAULT 0,
+  visitors INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS analytics_daily_pages (
+  date TEXT NOT NULL,
+  path TEXT NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  visitors INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (date, path)
+);
+
+CREATE TABLE IF NOT EXISTS analytics_daily_countries (
+  date TEXT NOT NULL,
+  country TEXT NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  visitors INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (date, country)
+);
+
+-- host is the referrer's hostname without www.
+CREATE TABLE IF NOT EXISTS analytics_daily_referrers (
+  date TEXT NOT NULL,
+  host TEXT NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  visitors INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (date, host)
+);
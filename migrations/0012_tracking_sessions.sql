@@ -0,0 +1,39 @@
+-- One session id scheme for all tracking (utils/tracking.js)
+-- Session ids are now 32 hex characters: an HMAC of IP and User-Agent keyed with a
+-- random salt for the UTC day. Each salt is deleted once its day is over.
+
+CREATE TABLE IF NOT EXISTS analytics_salts (
+  date TEXT PRIMARY KEY,                  -- UTC YYYY-MM-DD
+  salt TEXT NOT NULL
+);
+
+-- Reconcile rows written by the old implementations
+
+-- Fallback ids were unique per request and inflated visitor counts
+UPDATE page_views SET session_id = NULL WHERE session_id LIKE 'anonymous-%';
+UPDATE events SET session_id = NULL WHERE session_id LIKE 'anonymous-%';
+UPDATE conversions SET session_id = NULL WHERE session_id LIKE 'anonymous-%';
+DELETE FROM user_sessions WHERE id LIKE 'anonymous-%';
+
+-- Old 16-character ids are padded to the new length; they cannot be recomputed
+-- (no IPs are stored), but they keep grouping the same rows
+UPDATE page_views SET session_id = session_id || '0000000000000000'
+WHERE length(session_id) = 16 AND session_id NOT GLOB '*[^0-9a-f]*';
+UPDATE events SET session_id = session_id || '0000000000000000'
+WHERE length(session_id) = 16 AND session_id NOT GLOB '*[^0-9a-f]*';
+UPDATE conversions SET session_id = session_id || '0000000000000000'
+WHERE length(session_id) = 16 AND session_id NOT GLOB '*[^0-9a-f]*';
+UPDATE user_sessions SET id = id || '0000000000000000'
+WHERE length(id) = 16 AND id NOT GLOB '*[^0-9a-f]*';
+
+-- page_count was not always incremented; count the stored page views instead
+UPDATE user_sessions
+SET page_count = (SELECT COUNT(*) FROM page_views WHERE page_views.session_id = user_sessions.id)
+WHERE id IN (SELECT session_id FROM page_views);
+
+-- Session times defaulted to CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS"); use ISO 8601 like the
+-- other tables so the retention cleanup compares them correctly
+UPDATE user_sessions SET created_at = strftime('%Y-%m-%dT%H:%M:%SZ', created_at)
+WHERE created_at NOT LIKE '%T%';
+UPDATE user_sessions SET last_activity = strftime('%Y-%m-%dT%H:%M:%SZ', last_activity)
+WHERE last_activity NOT LIKE '%T%';
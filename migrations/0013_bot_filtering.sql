@@ -0,0 +1,67 @@
+-- Bot and crawler filtering (utils/bots.js)
+-- Page views are labelled is_bot = 1 when they come from crawlers, monitors, HTTP
+-- libraries or prefetches; the rollups keep human-only counts next to the totals
+
+ALTER TABLE page_views ADD COLUMN is_bot INTEGER NOT NULL DEFAULT 0;
+
+-- Label stored rows with the User-Agent patterns from BOT_USER_AGENT_PATTERNS
+-- (the prefetch and Bot Management signals were never stored)
+UPDATE page_views SET is_bot = 1
+WHERE trim(COALESCE(user_agent, '')) = ''
+   OR lower(user_agent) LIKE '%bot%'
+   OR lower(user_agent) LIKE '%crawl%'
+   OR lower(user_agent) LIKE '%spider%'
+   OR lower(user_agent) LIKE '%slurp%'
+   OR lower(user_agent) LIKE '%archiver%'
+   OR lower(user_agent) LIKE '%facebookexternalhit%'
+   OR lower(user_agent) LIKE '%embedly%'
+   OR lower(user_agent) LIKE '%preview%'
+   OR lower(user_agent) LIKE '%headless%'
+   OR lower(user_agent) LIKE '%lighthouse%'
+   OR lower(user_agent) LIKE '%pagespeed%'
+   OR lower(user_agent) LIKE '%uptime%'
+   OR lower(user_agent) LIKE '%pingdom%'
+   OR lower(user_agent) LIKE '%statuscake%'
+   OR lower(user_agent) LIKE '%monitor%'
+   OR lower(user_agent) LIKE '%curl/%'
+   OR lower(user_agent) LIKE '%wget/%'
+   OR lower(user_agent) LIKE '%python-requests%'
+   OR lower(user_agent) LIKE '%python-urllib%'
+   OR lower(user_agent) LIKE '%aiohttp%'
+   OR lower(user_agent) LIKE '%go-http-client%'
+   OR lower(user_agent) LIKE '%java/%'
+   OR lower(user_agent) LIKE '%okhttp%'
+   OR lower(user_agent) LIKE '%node-fetch%'
+   OR lower(user_agent) LIKE '%axios/%'
+   OR lower(user_agent) LIKE '%undici%'
+   OR lower(user_agent) LIKE '%libwww-perl%'
+   OR lower(user_agent) LIKE '%httpclient%'
+   OR lower(user_agent) LIKE '%feedfetcher%'
+   OR lower(user_agent) LIKE '%feedly%'
+   OR lower(user_agent) LIKE '%rss%';
+
+-- Bots no longer get sessions
+DELETE FROM user_sessions WHERE id IN (SELECT session_id FROM page_views WHERE is_bot = 1)
+  AND id NOT IN (SELECT session_id FROM page_views WHERE is_bot = 0 AND session_id IS NOT NULL);
+
+ALTER TABLE analytics_daily_totals ADD COLUMN human_views INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE analytics_daily_totals ADD COLUMN human_visitors INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE analytics_daily_pages ADD COLUMN human_views INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE analytics_daily_pages ADD COLUMN human_visitors INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE analytics_daily_countries ADD COLUMN human_views INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE analytics_daily_countries ADD COLUMN human_visitors INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE analytics_daily_referrers ADD COLUMN human_views INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE analytics_daily_referrers ADD COLUMN human_visitors INTEGER NOT NULL DEFAULT 0;
+
+-- Days whose raw rows are still stored are dropped and rolled up again, with the new
+-- labels, by the next scheduled run (reports read raw rows until then). Older days
+-- cannot be reclassified and count as human, as they did before
+DELETE FROM analytics_daily_totals WHERE date >= (SELECT substr(MIN(timestamp), 1, 10) FROM page_views);
+DELETE FROM analytics_daily_pages WHERE date >= (SELECT substr(MIN(timestamp), 1, 10) FROM page_views);
+DELETE FROM analytics_daily_countries WHERE date >= (SELECT substr(MIN(timestamp), 1, 10) FROM page_views);
+DELETE FROM analytics_daily_referrers WHERE date >= (SELECT substr(MIN(timestamp), 1, 10) FROM page_views);
+
+UPDATE analytics_daily_totals SET human_views = views, human_visitors = visitors;
+UPDATE analytics_daily_pages SET human_views = views, human_visitors = visitors;
+UPDATE analytics_daily_countries SET human_views = views, human_visitors = visitors;
+UPDATE analytics_daily_referrers SET human_views = views, human_visitors = visitors;
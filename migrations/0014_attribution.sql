@@ -0,0 +1,26 @@
+-- Referrer and UTM campaign attribution (utils/attribution.js)
+-- Sessions keep the touch that started them and the latest campaign touch;
+-- conversions copy both from their session when they are recorded.
+-- channel is one of search, social, email, referral, campaign or direct
+
+ALTER TABLE user_sessions ADD COLUMN landing_path TEXT;
+ALTER TABLE user_sessions ADD COLUMN first_channel TEXT;
+ALTER TABLE user_sessions ADD COLUMN first_source TEXT;      -- utm_source, else the referrer host
+ALTER TABLE user_sessions ADD COLUMN first_medium TEXT;      -- utm_medium, else the channel
+ALTER TABLE user_sessions ADD COLUMN first_campaign TEXT;    -- utm_campaign
+ALTER TABLE user_sessions ADD COLUMN first_referrer_host TEXT;
+ALTER TABLE user_sessions ADD COLUMN last_channel TEXT;
+ALTER TABLE user_sessions ADD COLUMN last_source TEXT;
+ALTER TABLE user_sessions ADD COLUMN last_medium TEXT;
+ALTER TABLE user_sessions ADD COLUMN last_campaign TEXT;
+ALTER TABLE user_sessions ADD COLUMN last_referrer_host TEXT;
+ALTER TABLE user_sessions ADD COLUMN last_touch_at TEXT;
+
+ALTER TABLE conversions ADD COLUMN first_channel TEXT;
+ALTER TABLE conversions ADD COLUMN first_source TEXT;
+ALTER TABLE conversions ADD COLUMN first_medium TEXT;
+ALTER TABLE conversions ADD COLUMN first_campaign TEXT;
+ALTER TABLE conversions ADD COLUMN last_channel TEXT;
+ALTER TABLE conversions ADD COLUMN last_source TEXT;
+ALTER TABLE conversions ADD COLUMN last_medium TEXT;
+ALTER TABLE conversions ADD COLUMN last_campaign TEXT;
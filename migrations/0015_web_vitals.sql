@@ -0,0 +1,11 @@
+-- Core Web Vitals from real visitors (POST /api/analytics/vitals)
+-- One row per metric and page load: metric is LCP, CLS, INP or TTFB; value is in
+-- milliseconds except CLS, which is unitless. device is mobile, tablet or desktop.
+-- load_time and user_agent are no longer written
+
+ALTER TABLE performance_metrics ADD COLUMN metric TEXT;
+ALTER TABLE performance_metrics ADD COLUMN value REAL;
+ALTER TABLE performance_metrics ADD COLUMN device TEXT;
+ALTER TABLE performance_metrics ADD COLUMN session_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_performance_metric_timestamp ON performance_metrics(metric, timestamp);
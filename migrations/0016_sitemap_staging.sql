@@ -0,0 +1,15 @@
+-- Sitemap regeneration writes here in bounded batches, then swaps the rows into
+-- sitemap_entries in one transaction (see storeSitemapEntries in src/utils/sitemap.js)
+
+CREATE TABLE IF NOT EXISTS sitemap_entries_staging (
+  type TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  loc TEXT NOT NULL,
+  lastmod TEXT,
+  changefreq TEXT,
+  priority TEXT,
+  images TEXT,
+  generated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sitemap_staging_generated ON sitemap_entries_staging(generated_at);
@@ -0,0 +1,8 @@
+-- Failed newsletter deliveries wait before they are retried (see sendCampaignBatch)
+-- and deliveries interrupted on their last attempt no longer stay in 'sending'
+
+ALTER TABLE newsletter_deliveries ADD COLUMN next_attempt_at TEXT;
+
+UPDATE newsletter_deliveries
+SET status = 'failed', error = COALESCE(error, 'Send interrupted')
+WHERE status = 'sending' AND attempts >= 3;
@@ -0,0 +1,10 @@
+-- Form tokens already used for a submission (see utils/protection.js)
+-- nonce comes from the signed token; expires_at is the token's expiry in unix
+-- seconds. Expired tokens are refused anyway, so the daily cleanup deletes their rows
+
+CREATE TABLE IF NOT EXISTS used_form_tokens (
+  nonce TEXT PRIMARY KEY,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_used_form_tokens_expires ON used_form_tokens(expires_at);
@@ -0,0 +1,466 @@
+/**
+ * Analytics Dashboard Component for GoEvergreen Website
+ * Standalone admin page served at /admin/analytics. Charts are inline SVG and the
+ * page loads no scripts, so it works under a strict Content-Security-Policy
+ */
+
+import { escapeHtml } from '../utils/response.js';
+
+export const DASHBOARD_PRESETS = [7, 30, 90];
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 44 };
+
+// p75 thresholds for "good" and "poor", as published for Core Web Vitals
+const VITAL_THRESHOLDS = {
+  LCP: { good: 2500, poor: 4000, unit: 'ms' },
+  CLS: { good: 0.1, poor: 0.25, unit: '' },
+  INP: { good: 200, poor: 500, unit: 'ms' },
+  TTFB: { good: 800, poor: 1800, unit: 'ms' }
+};
+
+/**
+ * data: { from, to, days, humansOnly, summary, daily, referrers, funnel, newsletter, attribution, vitals, principal }
+ * from/to are inclusive YYYY-MM-DD dates
+ */
+export function generateAnalyticsDashboard(data) {
+  const { from, to, days, humansOnly, summary, daily, referrers, funnel, newsletter, attribution, vitals, principal } = data;
+  const signups = fillDays(from, to, newsletter.dailyStats, row => row.count);
+  const newSubscribers = signups.reduce((total, day) => total + day.value, 0);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>Analytics - GoEvergreen</title>
+    <style>${getDashboardStyles()}</style>
+</head>
+<body>
+    <header class="dashboard-header">
+        <h1>GoEvergreen Analytics</h1>
+        <p>${escapeHtml(from)} to ${escapeHtml(to)} (${days} ${days === 1 ? 'day' : 'days'}, ${humansOnly ? 'humans only' : 'all traffic'})${principal ? ` &middot; ${escapeHtml(principal.name)}` : ''}</p>
+    </header>
+    <main>
+        ${generateRangePicker(from, to, humansOnly)}
+        ${summary.error ? `<p class="notice">${escapeHtml(summary.error)}</p>` : ''}
+
+        <section class="stats" aria-label="Totals">
+            ${generateStat('Page views', summary.totalPageViews)}
+            ${generateStat('Unique visitors', summary.uniqueVisitors)}
+            ${generateStat('Subscribers', newsletter.totalSubscribers)}
+            ${generateStat('New subscribers', newSubscribers)}
+        </section>
+
+        <section class="panel">
+            <h2>Page views over time</h2>
+            ${generateLineChart(
+              fillDays(from, to, daily, row => row.views),
+              fillDays(from, to, daily, row => row.unique_visitors)
+            )}
+            <p class="legend"><span class="swatch views"></span> Page views <span class="swatch visitors"></span> Unique visitors</p>
+        </section>
+
+        <div class="grid">
+            <section class="panel">
+                <h2>Top pages</h2>
+                ${generateBarList(summary.topPages.map(row => ({ label: row.path, value: row.views })))}
+            </section>
+            <section class="panel">
+                <h2>Top countries</h2>
+                ${generateBarList(summary.topCountries.map(row => ({ label: row.country, value: row.views })))}
+            </section>
+            <section class="panel">
+                <h2>Referrers</h2>
+                ${generateBarList(referrers.map(row => ({ label: row.host, value: row.views })))}
+            </section>
+            <section class="panel">
+                <h2>Scroll depth</h2>
+                ${generateFunnel(funnel)}
+                <p class="legend">From the page script's beacons, which bots never record</p>
+            </section>
+        </div>
+
+        <section class="panel">
+            <h2>Subscriber growth</h2>
+            ${generateColumnChart(signups)}
+            <p class="legend">New signups per day</p>
+        </section>
+
+        <div class="grid">
+            <section class="panel">
+                <h2>Signups by first touch</h2>
+                ${generateBarList(attribution.firstTouch.map(formatAttributionRow))}
+            </section>
+            <section class="panel">
+                <h2>Signups by last touch</h2>
+                ${generateBarList(attribution.lastTouch.map(formatAttributionRow))}
+            </section>
+        </div>
+
+        <section class="panel">
+            <h2>Core Web Vitals</h2>
+            <div class="grid">
+                ${Object.keys(VITAL_THRESHOLDS).map(metric => generateVitalsTable(metric, vitals[metric] || [])).join('')}
+            </div>
+            <p class="legend">Real-user percentiles by page and device; ratings use p75</p>
+        </section>
+    </main>
+</body>
+</html>`;
+}
+
+const DASHBOARD_ERROR_TITLES = {
+  401: 'Sign in required',
+  403: 'Access denied'
+};
+
+// Same layout for errors so people arriving without Access see a page, not JSON
+export function generateDashboardError(status, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>Analytics - GoEvergreen</title>
+    <style>${getDashboardStyles()}</style>
+</head>
+<body>
+    <header class="dashboard-header">
+        <h1>GoEvergreen Analytics</h1>
+    </header>
+    <main>
+        <section class="panel">
+            <h2>${DASHBOARD_ERROR_TITLES[status] || 'Dashboard unavailable'}</h2>
+            <p>${escapeHtml(message)}</p>
+        </section>
+    </main>
+</body>
+</html>`;
+}
+
+function generateRangePicker(from, to, humansOnly) {
+  const traffic = humansOnly ? 'humans' : 'all';
+  const presets = DASHBOARD_PRESETS.map(days => {
+    const start = shiftDate(to, -(days - 1));
+    return `<a href="?from=${start}&amp;to=${escapeHtml(to)}&amp;traffic=${traffic}">Last ${days} days</a>`;
+  }).join('');
+
+  return `
+        <form class="range-picker" method="get" action="/admin/analytics">
+            <label>From <input type="date" name="from" value="${escapeHtml(from)}" required></label>
+            <label>To <input type="date" name="to" value="${escapeHtml(to)}" required></label>
+            <label>Traffic
+                <select name="traffic">
+                    <option value="humans"${humansOnly ? ' selected' : ''}>Humans only</option>
+                    <option value="all"${humansOnly ? '' : ' selected'}>All, including bots</option>
+                </select>
+            </label>
+            <button type="submit">Apply</button>
+            <nav aria-label="Presets">${presets}</nav>
+        </form>`;
+}
+
+function generateStat(label, value) {
+  return `<div class="stat"><span class="stat-value">${formatNumber(value)}</span><span class="stat-label">${escapeHtml(label)}</span></div>`;
+}
+
+// Two series over the same days, with y-axis gridlines and first/last date labels
+function generateLineChart(views, visitors) {
+  if (views.length === 0) {
+    return '<p class="empty">No data for this range.</p>';
+  }
+
+  const max = niceMax(Math.max(...views.map(day => day.value), 1));
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const step = views.length > 1 ? plotWidth / (views.length - 1) : 0;
+
+  const x = index => CHART_PADDING.left + (views.length > 1 ? index * step : plotWidth / 2);
+  const y = value => CHART_PADDING.top + plotHeight - (value / max) * plotHeight;
+  const points = series => series.map((day, index) => `${x(index).toFixed(1)},${y(day.value).toFixed(1)}`).join(' ');
+
+  const markers = views.map((day, index) => `
+    <circle cx="${x(index).toFixed(1)}" cy="${y(day.value).toFixed(1)}" r="${views.length > 60 ? 1.5 : 3}" class="views">
+      <title>${day.date}: ${formatNumber(day.value)} views, ${formatNumber(visitors[index].value)} visitors</title>
+    </circle>`).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Page views and unique visitors per day">
+      ${generateGridlines(max, plotHeight, plotWidth)}
+      <polyline points="${points(visitors)}" class="line visitors" />
+      <polyline points="${points(views)}" class="line views" />
+      ${markers}
+      ${generateDateLabels(views, x)}
+    </svg>`;
+}
+
+function generateColumnChart(series) {
+  if (series.length === 0) {
+    return '<p class="empty">No data for this range.</p>';
+  }
+
+  const max = niceMax(Math.max(...series.map(day => day.value), 1));
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const slot = plotWidth / series.length;
+  const barWidth = Math.max(slot * 0.7, 1);
+
+  const bars = series.map((day, index) => {
+    const height = (day.value / max) * plotHeight;
+    const barX = CHART_PADDING.left + index * slot + (slot - barWidth) / 2;
+    return `
+    <rect x="${barX.toFixed(1)}" y="${(CHART_PADDING.top + plotHeight - height).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" class="column">
+      <title>${day.date}: ${formatNumber(day.value)} signups</title>
+    </rect>`;
+  }).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Newsletter signups per day">
+      ${generateGridlines(max, plotHeight, plotWidth)}
+      ${bars}
+      ${generateDateLabels(series, index => CHART_PADDING.left + index * slot + slot / 2)}
+    </svg>`;
+}
+
+function generateGridlines(max, plotHeight, plotWidth) {
+  return [0, 0.5, 1].map(fraction => {
+    const lineY = CHART_PADDING.top + plotHeight - fraction * plotHeight;
+    return `
+      <line x1="${CHART_PADDING.left}" x2="${CHART_PADDING.left + plotWidth}" y1="${lineY}" y2="${lineY}" class="gridline" />
+      <text x="${CHART_PADDING.left - 6}" y="${lineY + 4}" text-anchor="end" class="axis">${formatNumber(max * fraction)}</text>`;
+  }).join('');
+}
+
+function generateDateLabels(series, x) {
+  const labelY = CHART_HEIGHT - 8;
+  const first = `<text x="${x(0)}" y="${labelY}" text-anchor="start" class="axis">${series[0].date}</text>`;
+
+  if (series.length === 1) {
+    return first;
+  }
+
+  return first + `<text x="${x(series.length - 1)}" y="${labelY}" text-anchor="end" class="axis">${series[series.length - 1].date}</text>`;
+}
+
+function generateBarList(rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">No data for this range.</p>';
+  }
+
+  const max = Math.max(...rows.map(row => row.value), 1);
+
+  return `
+    <ol class="bar-list">
+      ${rows.map(row => `
+      <li>
+        <span class="bar" style="width: ${((row.value / max) * 100).toFixed(1)}%"></span>
+        <span class="bar-label">${escapeHtml(String(row.label || 'Unknown'))}</span>
+        <span class="bar-value">${formatNumber(row.value)}</span>
+      </li>`).join('')}
+    </ol>`;
+}
+
+// Each step shows its share of the first step
+function generateFunnel(steps) {
+  const start = steps[0]?.sessions || 0;
+
+  if (start === 0) {
+    return '<p class="empty">No scroll events for this range.</p>';
+  }
+
+  return `
+    <ol class="bar-list funnel">
+      ${steps.map(step => {
+        const share = (step.sessions / start) * 100;
+        return `
+      <li>
+        <span class="bar" style="width: ${share.toFixed(1)}%"></span>
+        <span class="bar-label">${escapeHtml(step.step)}</span>
+        <span class="bar-value">${formatNumber(step.sessions)} (${share.toFixed(0)}%)</span>
+      </li>`;
+      }).join('')}
+    </ol>`;
+}
+
+function generateVitalsTable(metric, rows) {
+  const { good, poor } = VITAL_THRESHOLDS[metric];
+  const body = rows.length === 0
+    ? '<tr><td colspan="5" class="empty">No samples for this range.</td></tr>'
+    : rows.map(row => {
+      const rating = row.p75 <= good ? 'good' : row.p75 <= poor ? 'needs-improvement' : 'poor';
+      return `
+                    <tr>
+                        <th scope="row">${escapeHtml(row.path)} <span class="device">${escapeHtml(row.device || 'unknown')}</span></th>
+                        <td>${formatNumber(row.samples)}</td>
+                        <td>${formatVital(metric, row.p50)}</td>
+                        <td class="${rating}">${formatVital(metric, row.p75)}</td>
+                        <td>${formatVital(metric, row.p95)}</td>
+                    </tr>`;
+    }).join('');
+
+  return `
+            <table class="vitals">
+                <caption>${metric}</caption>
+                <thead><tr><th scope="col">Page</th><th scope="col">Samples</th><th scope="col">p50</th><th scope="col">p75</th><th scope="col">p95</th></tr></thead>
+                <tbody>${body}</tbody>
+            </table>`;
+}
+
+function formatVital(metric, value) {
+  if (value === null || value === undefined) {
+    return '&ndash;';
+  }
+  return metric === 'CLS' ? Number(value).toFixed(3) : `${formatNumber(value)} ${VITAL_THRESHOLDS[metric].unit}`;
+}
+
+// "social · facebook.com · spring-sale"
+function formatAttributionRow(row) {
+  return {
+    label: [row.channel, row.source, row.campaign].filter(Boolean).join(' · '),
+    value: row.conversions
+  };
+}
+
+// One entry per day from..to so days without rows are drawn as zero
+function fillDays(from, to, rows, getValue) {
+  const values = new Map(rows.map(row => [row.date, Number(getValue(row)) || 0]));
+  const series = [];
+
+  for (let date = from; date <= to; date = shiftDate(date, 1)) {
+    series.push({ date, value: values.get(date) || 0 });
+  }
+
+  return series;
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().substring(0, 10);
+}
+
+// Round the axis maximum up to 1, 2 or 5 times a power of ten
+function niceMax(value) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const nice = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+  return nice * magnitude;
+}
+
+function formatNumber(value) {
+  return Math.round(Number(value) || 0).toLocaleString('en-US');
+}
+
+function getDashboardStyles() {
+  return `
+    :root {
+        --primary-color: #2d5a3d;
+        --secondary-color: #4a7c59;
+        --accent-color: #8fbc8f;
+        --background-color: #f8f9fa;
+        --text-color: #2c3e35;
+    }
+    * { box-sizing: border-box; }
+    body {
+        margin: 0;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        background: var(--background-color);
+        color: var(--text-color);
+    }
+    .dashboard-header {
+        background: var(--primary-color);
+        color: white;
+        padding: 1rem 2rem;
+    }
+    .dashboard-header h1 { margin: 0; font-size: 1.4rem; }
+    .dashboard-header p { margin: 0.25rem 0 0; opacity: 0.85; }
+    main { max-width: 1100px; margin: 0 auto; padding: 1.5rem; }
+    .range-picker {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+        align-items: center;
+        margin-bottom: 1.5rem;
+    }
+    .range-picker input, .range-picker select, .range-picker button {
+        padding: 0.4rem 0.6rem;
+        border: 1px solid #ccd5cf;
+        border-radius: 4px;
+        font: inherit;
+    }
+    .range-picker button {
+        background: var(--secondary-color);
+        color: white;
+        border-color: var(--secondary-color);
+        cursor: pointer;
+    }
+    .range-picker nav { display: flex; gap: 0.75rem; }
+    .range-picker a { color: var(--secondary-color); }
+    .notice { background: #fff3cd; padding: 0.75rem 1rem; border-radius: 4px; }
+    .stats {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+        gap: 1rem;
+        margin-bottom: 1.5rem;
+    }
+    .stat, .panel {
+        background: white;
+        border-radius: 6px;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08);
+        padding: 1rem 1.25rem;
+    }
+    .stat-value { display: block; font-size: 1.8rem; font-weight: 600; color: var(--primary-color); }
+    .stat-label { color: #5f6f66; }
+    .panel { margin-bottom: 1.5rem; }
+    .panel h2 { margin: 0 0 0.75rem; font-size: 1.05rem; }
+    .grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+        gap: 0 1.5rem;
+    }
+    .chart { width: 100%; height: auto; }
+    .chart .gridline { stroke: #e3e8e5; }
+    .chart .axis { font-size: 11px; fill: #5f6f66; }
+    .chart .line { fill: none; stroke-width: 2; }
+    .chart .line.views { stroke: var(--primary-color); }
+    .chart .line.visitors { stroke: var(--accent-color); }
+    .chart circle.views { fill: var(--primary-color); }
+    .chart .column { fill: var(--secondary-color); }
+    .legend { margin: 0.5rem 0 0; font-size: 0.85rem; color: #5f6f66; }
+    .swatch { display: inline-block; width: 12px; height: 3px; vertical-align: middle; margin-left: 0.5rem; }
+    .swatch.views { background: var(--primary-color); }
+    .swatch.visitors { background: var(--accent-color); }
+    .bar-list { list-style: none; margin: 0; padding: 0; }
+    .bar-list li {
+        position: relative;
+        display: flex;
+        justify-content: space-between;
+        gap: 1rem;
+        padding: 0.35rem 0.5rem;
+        margin-bottom: 0.25rem;
+    }
+    .bar-list .bar {
+        position: absolute;
+        inset: 0 auto 0 0;
+        background: #e6f0e9;
+        border-radius: 3px;
+        z-index: 0;
+    }
+    .bar-list .bar-label, .bar-list .bar-value { position: relative; z-index: 1; }
+    .bar-list .bar-label { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .bar-list .bar-value { font-variant-numeric: tabular-nums; white-space: nowrap; }
+    .funnel .bar { background: #d4e6d9; }
+    .empty { color: #5f6f66; font-style: italic; }
+    .vitals { width: 100%; border-collapse: collapse; margin-bottom: 1rem; font-variant-numeric: tabular-nums; }
+    .vitals caption { text-align: left; font-weight: 600; padding-bottom: 0.35rem; }
+    .vitals th, .vitals td { padding: 0.3rem 0.5rem; border-bottom: 1px solid #e3e8e5; text-align: right; white-space: nowrap; }
+    .vitals th[scope="row"], .vitals thead th:first-child { text-align: left; max-width: 14rem; overflow: hidden; text-overflow: ellipsis; }
+    .vitals .device { color: #5f6f66; font-size: 0.8rem; }
+    .vitals .good { color: #1e7b3c; font-weight: 600; }
+    .vitals .needs-improvement { color: #a66300; font-weight: 600; }
+    .vitals .poor { color: #b3261e; font-weight: 600; }
+  `;
+}
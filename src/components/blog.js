@@ -0,0 +1,298 @@
+/**
+ * Blog Component for GoEvergreen Website
+ * Renders the paginated blog listing and single-post pages from WordPress REST API data
+ */
+
+import { escapeHtml } from '../utils/response.js';
+
+export function generateBlogIndex({ posts, page, totalPages }) {
+  if (posts.length === 0) {
+    return `
+      <div class="blog-header">
+        <h1>Health & Wellness Blog</h1>
+        <p>New articles are on their way. Check back soon!</p>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="blog-header">
+      <h1>Health & Wellness Blog</h1>
+      <p>The latest wellness trends, health research, and expert tips from our team.</p>
+    </div>
+    <div class="blog-grid">
+      ${posts.map(generatePostCard).join('')}
+    </div>
+    ${generatePagination(page, totalPages)}
+  `;
+}
+
+export function generatePostContent(post, relatedPosts = []) {
+  return `
+    <article class="blog-post">
+      <header class="blog-post-header">
+        ${generateCategoryChips(post.categories)}
+        <h1>${escapeHtml(post.title)}</h1>
+        <p class="blog-post-meta">
+          ${post.author ? `<span>By ${escapeHtml(post.author)}</span>` : ''}
+          ${post.publishedAt ? `<time datetime="${post.publishedAt}">${formatDate(post.publishedAt)}</time>` : ''}
+          <span>${post.readingTime} min read</span>
+        </p>
+      </header>
+      ${post.featuredImage ? `
+      <img class="blog-post-image" src="${escapeHtml(post.featuredImage.url)}" alt="${escapeHtml(post.featuredImage.alt)}">` : ''}
+      <div class="blog-post-content wp-entry-content">
+        ${post.content}
+      </div>
+    </article>
+    ${relatedPosts.length > 0 ? `
+    <section class="related-posts" aria-label="Related posts">
+      <h2>You Might Also Like</h2>
+      <div class="blog-grid">
+        ${relatedPosts.map(generatePostCard).join('')}
+      </div>
+    </section>` : ''}
+  `;
+}
+
+function generatePostCard(post) {
+  return `
+    <article class="blog-card">
+      ${post.featuredImage ? `
+      <a href="/${post.route}" class="blog-card-image" tabindex="-1" aria-hidden="true">
+        <img src="${escapeHtml(post.featuredImage.url)}" alt="${escapeHtml(post.featuredImage.alt)}" loading="lazy">
+      </a>` : ''}
+      <div class="blog-card-body">
+        ${generateCategoryChips(post.categories)}
+        <h2><a href="/${post.route}">${escapeHtml(post.title)}</a></h2>
+        <p class="blog-post-meta">
+          ${post.publishedAt ? `<time datetime="${post.publishedAt}">${formatDate(post.publishedAt)}</time>` : ''}
+          <span>${post.readingTime} min read</span>
+        </p>
+        <p class="blog-card-excerpt">${escapeHtml(truncate(post.excerpt, 180))}</p>
+        <a href="/${post.route}" class="blog-card-link">Read more →</a>
+      </div>
+    </article>
+  `;
+}
+
+function generateCategoryChips(categories = []) {
+  const visible = categories.filter(category => category.slug !== 'uncategorized');
+
+  if (visible.length === 0) {
+    return '';
+  }
+
+  return `
+    <ul class="category-chips">
+      ${visible.map(category => `<li><a href="/category/${encodeURIComponent(category.slug)}" class="category-chip">${escapeHtml(category.name)}</a></li>`).join('')}
+    </ul>
+  `;
+}
+
+function generatePagination(page, totalPages) {
+  if (totalPages <= 1) {
+    return '';
+  }
+
+  const pageLink = number => (number === 1 ? '/blog' : `/blog?page=${number}`);
+  const numbers = [];
+
+  for (let number = 1; number <= totalPages; number++) {
+    // Show the first, last and nearby pages only
+    if (number === 1 || number === totalPages || Math.abs(number - page) <= 2) {
+      numbers.push(number);
+    }
+  }
+
+  return `
+    <nav class="blog-pagination" aria-label="Blog pages">
+      ${page > 1 ? `<a href="${pageLink(page - 1)}" rel="prev">← Newer</a>` : ''}
+      ${numbers.map((number, index) => `
+        ${index > 0 && number - numbers[index - 1] > 1 ? '<span class="pagination-gap">…</span>' : ''}
+        ${number === page
+          ? `<span class="current" aria-current="page">${number}</span>`
+          : `<a href="${pageLink(number)}">${number}</a>`}
+      `).join('')}
+      ${page < totalPages ? `<a href="${pageLink(page + 1)}" rel="next">Older →</a>` : ''}
+    </nav>
+  `;
+}
+
+function formatDate(isoDate) {
+  return new Date(isoDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length).trim()}…` : text;
+}
+
+export function getBlogStyles() {
+  return `
+    /* Blog Styles */
+    .blog-header {
+        text-align: center;
+        padding: 3rem 2rem;
+        background: linear-gradient(135deg, #f8fdf8 0%, #e8f5e8 100%);
+        border-radius: 15px;
+        margin-bottom: 2rem;
+    }
+    .blog-header h1 {
+        font-size: 2.6rem;
+        color: #2c3e35;
+        margin-bottom: 0.5rem;
+    }
+    .blog-header p {
+        color: #5a6b5d;
+        font-size: 1.1rem;
+    }
+    .blog-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+        gap: 2rem;
+        margin: 2rem 0;
+    }
+    .blog-card {
+        background: white;
+        border-radius: 15px;
+        box-shadow: 0 5px 25px rgba(122, 155, 142, 0.1);
+        overflow: hidden;
+        display: flex;
+        flex-direction: column;
+        transition: transform 0.3s ease;
+    }
+    .blog-card:hover {
+        transform: translateY(-5px);
+    }
+    .blog-card-image img {
+        width: 100%;
+        height: 200px;
+        object-fit: cover;
+        display: block;
+    }
+    .blog-card-body {
+        padding: 1.5rem;
+        display: flex;
+        flex-direction: column;
+        flex: 1;
+    }
+    .blog-card h2 {
+        font-size: 1.3rem;
+        margin-bottom: 0.5rem;
+    }
+    .blog-card h2 a {
+        color: #2c3e35;
+        text-decoration: none;
+    }
+    .blog-card h2 a:hover {
+        color: #7a9b8e;
+    }
+    .blog-card-excerpt {
+        color: #5a6b5d;
+        margin-bottom: 1rem;
+        flex: 1;
+    }
+    .blog-card-link {
+        color: #7a9b8e;
+        font-weight: 600;
+        text-decoration: none;
+    }
+    .blog-post-meta {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 1rem;
+        color: #7a9b8e;
+        font-size: 0.9rem;
+        margin-bottom: 1rem;
+    }
+    .category-chips {
+        list-style: none;
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 0.8rem;
+    }
+    .category-chip {
+        display: inline-block;
+        background: #e8f5e8;
+        color: #5a6b5d;
+        border: 1px solid #a8c09a;
+        border-radius: 25px;
+        padding: 0.2rem 0.8rem;
+        font-size: 0.8rem;
+        font-weight: 600;
+        text-decoration: none;
+        transition: all 0.3s ease;
+    }
+    .category-chip:hover {
+        background: #7a9b8e;
+        color: white;
+    }
+    .blog-post {
+        background: white;
+        padding: 3rem;
+        border-radius: 15px;
+        box-shadow: 0 5px 25px rgba(122, 155, 142, 0.1);
+        max-width: 800px;
+        margin: 2rem auto;
+    }
+    .blog-post-header h1 {
+        color: #2c3e35;
+        font-size: 2.4rem;
+        line-height: 1.3;
+        margin-bottom: 0.8rem;
+    }
+    .blog-post-image {
+        width: 100%;
+        height: auto;
+        border-radius: 10px;
+        margin-bottom: 2rem;
+    }
+    .related-posts {
+        max-width: 1200px;
+        margin: 3rem auto 0;
+    }
+    .related-posts h2 {
+        color: #7a9b8e;
+        font-size: 1.8rem;
+        text-align: center;
+    }
+    .blog-pagination {
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin: 2rem 0;
+    }
+    .blog-pagination a,
+    .blog-pagination .current {
+        padding: 0.5rem 1rem;
+        border-radius: 25px;
+        border: 2px solid #7a9b8e;
+        color: #7a9b8e;
+        text-decoration: none;
+        font-weight: 600;
+    }
+    .blog-pagination .current,
+    .blog-pagination a:hover {
+        background: #7a9b8e;
+        color: white;
+    }
+    .pagination-gap {
+        color: #5a6b5d;
+    }
+    @media (max-width: 768px) {
+        .blog-grid {
+            grid-template-columns: 1fr;
+        }
+        .blog-post {
+            padding: 1.5rem;
+        }
+        .blog-post-header h1,
+        .blog-header h1 {
+            font-size: 1.8rem;
+        }
+    }
+  `;
+}
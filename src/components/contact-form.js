@@ -0,0 +1,237 @@
+/**
+ * Contact Form Component for GoEvergreen Website
+ * Rendered on /contact-us and submitted to /api/contact with client-side validation
+ */
+
+import { generateFormProtectionFields } from './form-protection.js';
+
+export const CONTACT_LIMITS = {
+  name: 100,
+  email: 255,
+  message: 1000,
+  minMessage: 10
+};
+
+export function generateContactForm(env) {
+  return `
+    <section class="contact-form-section" aria-labelledby="contact-form-title">
+      <h2 id="contact-form-title">Send Us a Message</h2>
+      <p>We usually reply within one business day.</p>
+      <div id="contact-form-container">
+        <form id="contactForm" class="contact-form" novalidate>
+          <div class="form-field">
+            <label for="contact-name">Name</label>
+            <input type="text" id="contact-name" name="name" maxlength="${CONTACT_LIMITS.name}" autocomplete="name" required>
+            <p class="field-error" id="contact-name-error" aria-live="polite"></p>
+          </div>
+          <div class="form-field">
+            <label for="contact-email">Email</label>
+            <input type="email" id="contact-email" name="email" maxlength="${CONTACT_LIMITS.email}" autocomplete="email" required>
+            <p class="field-error" id="contact-email-error" aria-live="polite"></p>
+          </div>
+          <div class="form-field">
+            <label for="contact-message">Message</label>
+            <textarea id="contact-message" name="message" rows="6" minlength="${CONTACT_LIMITS.minMessage}" maxlength="${CONTACT_LIMITS.message}" required></textarea>
+            <p class="field-hint"><span id="contact-message-count">0</span>/${CONTACT_LIMITS.message}</p>
+            <p class="field-error" id="contact-message-error" aria-live="polite"></p>
+          </div>
+          ${generateFormProtectionFields(env)}
+          <button type="submit">Send Message</button>
+        </form>
+      </div>
+      <div id="contact-form-message" class="form-message" role="alert"></div>
+    </section>
+  `;
+}
+
+export function getContactFormJS() {
+  return `
+    // Contact form validation and submission
+    document.addEventListener('DOMContentLoaded', function() {
+        const contactForm = document.getElementById('contactForm');
+        if (!contactForm) {
+            return;
+        }
+
+        const messageDiv = document.getElementById('contact-form-message');
+        const messageField = contactForm.elements.namedItem('message');
+        const messageCount = document.getElementById('contact-message-count');
+        const submitButton = contactForm.querySelector('button[type="submit"]');
+
+        const validators = {
+            name: function(value) {
+                return value ? '' : 'Please enter your name.';
+            },
+            email: function(value) {
+                return /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/.test(value) ? '' : 'Please enter a valid email address.';
+            },
+            message: function(value) {
+                if (value.length < ${CONTACT_LIMITS.minMessage}) {
+                    return 'Please write at least ${CONTACT_LIMITS.minMessage} characters.';
+                }
+                return value.length > ${CONTACT_LIMITS.message} ? 'Please keep your message under ${CONTACT_LIMITS.message} characters.' : '';
+            }
+        };
+
+        function setFieldError(name, error) {
+            const field = contactForm.elements.namedItem(name);
+            document.getElementById('contact-' + name + '-error').textContent = error;
+            field.setAttribute('aria-invalid', error ? 'true' : 'false');
+        }
+
+        function validateField(name) {
+            const error = validators[name](contactForm.elements.namedItem(name).value.trim());
+            setFieldError(name, error);
+            return !error;
+        }
+
+        function showMessage(text, type) {
+            messageDiv.textContent = text;
+            messageDiv.className = 'form-message ' + type;
+            messageDiv.style.display = 'block';
+        }
+
+        Object.keys(validators).forEach(function(name) {
+            contactForm.elements.namedItem(name).addEventListener('blur', function() {
+                validateField(name);
+            });
+        });
+
+        messageField.addEventListener('input', function() {
+            messageCount.textContent = messageField.value.length;
+        });
+
+        contactForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const valid = Object.keys(validators).map(validateField).every(Boolean);
+            if (!valid) {
+                contactForm.querySelector('[aria-invalid="true"]').focus();
+                return;
+            }
+
+            submitButton.disabled = true;
+            submitButton.textContent = 'Sending...';
+            messageDiv.style.display = 'none';
+
+            try {
+                const response = await fetch('/api/contact', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(Object.assign({
+                        name: contactForm.elements.namedItem('name').value.trim(),
+                        email: contactForm.elements.namedItem('email').value.trim(),
+                        message: messageField.value.trim()
+                    }, await getFormProtectionData(contactForm)))
+                });
+
+                const result = await response.json().catch(function() {
+                    return {};
+                });
+
+                if (response.ok && result.success) {
+                    document.getElementById('contact-form-container').style.display = 'none';
+                    showMessage(result.message || 'Thank you! We will get back to you soon.', 'success');
+                    return;
+                }
+
+                showMessage(result.error || 'Sending failed. Please try again.', 'error');
+                resetFormProtection(contactForm);
+            } catch (error) {
+                showMessage('Network error. Please check your connection and try again.', 'error');
+            }
+
+            submitButton.disabled = false;
+            submitButton.textContent = 'Send Message';
+        });
+    });
+  `;
+}
+
+export function getContactFormStyles() {
+  return `
+    /* Contact Form Styles */
+    .contact-form-section {
+        background: white;
+        padding: 2.5rem;
+        border-radius: 15px;
+        box-shadow: 0 5px 25px rgba(122, 155, 142, 0.1);
+        max-width: 700px;
+        margin: 3rem auto;
+    }
+    .contact-form-section h2 {
+        color: #2c3e35;
+        margin-bottom: 0.5rem;
+    }
+    .contact-form-section > p {
+        color: #5a6b5d;
+        margin-bottom: 1.5rem;
+    }
+    .contact-form .form-field {
+        margin-bottom: 1.2rem;
+    }
+    .contact-form label {
+        display: block;
+        font-weight: 600;
+        color: #2c3e35;
+        margin-bottom: 0.4rem;
+    }
+    .contact-form input,
+    .contact-form textarea {
+        width: 100%;
+        padding: 0.9rem 1rem;
+        border: 2px solid #a8c09a;
+        border-radius: 10px;
+        font-size: 1rem;
+        font-family: inherit;
+        outline: none;
+        transition: border-color 0.3s ease;
+    }
+    .contact-form input:focus,
+    .contact-form textarea:focus {
+        border-color: #7a9b8e;
+    }
+    .contact-form [aria-invalid="true"] {
+        border-color: #c0392b;
+    }
+    .contact-form .field-error {
+        color: #c0392b;
+        font-size: 0.9rem;
+        margin-top: 0.3rem;
+        min-height: 1em;
+    }
+    .contact-form .field-hint {
+        color: #7a9b8e;
+        font-size: 0.85rem;
+        text-align: right;
+        margin-top: 0.3rem;
+    }
+    .contact-form button {
+        background: #7a9b8e;
+        color: white;
+        border: none;
+        padding: 1rem 2rem;
+        border-radius: 25px;
+        font-size: 1rem;
+        font-weight: 600;
+        cursor: pointer;
+        transition: all 0.3s ease;
+    }
+    .contact-form button:hover {
+        background: #6a8b7e;
+        transform: translateY(-2px);
+    }
+    .contact-form button:disabled {
+        background: #ccc;
+        cursor: not-allowed;
+        transform: none;
+    }
+    @media (max-width: 768px) {
+        .contact-form-section {
+            padding: 1.5rem;
+        }
+    }
+  `;
+}
@@ -1,8 +1,11 @@
 /**
  * Footer Component for GoEvergreen Website
- * Handles footer content, links, contact information, and persistent newsletter subscription box
+ * Handles footer content, links, contact information, and the footer newsletter form
+ * (submitted by the shared newsletter client in getCustomJS)
  */
 
+import { generateFormProtectionFields } from './form-protection.js';
+
 export function generateFooter(pathname, env) {
   const domain = env.DOMAIN || 'goevergreen.shop';
   const contactEmail = env.CONTACT_EMAIL || 'info@goevergreen.shop';
@@ -40,15 +43,18 @@ export function generateFooter(pathname, env) {
                     <p><a href="mailto:${contactEmail}" aria-label="Send us an email">${contactEmail}</a></p>
                     <p>💌 <strong>Newsletter:</strong></p>
                     <div id="newsletter-footer-form">
-                        <form id="footerNewsletterForm">
+                        <form id="footerNewsletterForm" data-newsletter-form data-source="footer"
+                              data-container="#newsletter-footer-form" data-success="#newsletter-footer-success" data-message="#newsletter-footer-message">
                             <input type="email" name="email" placeholder="Enter your email" required>
                             <input type="text" name="name" placeholder="Your name (optional)">
+                            ${generateFormProtectionFields(env)}
                             <button type="submit">Subscribe</button>
                         </form>
+                        <div id="newsletter-footer-message" class="form-message" role="alert"></div>
                     </div>
                     <div id="newsletter-footer-success" style="display:none;">
-                        <h4>✅ Successfully Subscribed!</h4>
-                        <p>Thank you! You'll get expert wellness tips by email.</p>
+                        <h4>📬 Check Your Inbox</h4>
+                        <p>Thank you! Click the link in our email to confirm your subscription.</p>
                     </div>
                     <p>🌐 <strong>Website:</strong></p>
                     <p><a href="https://${domain}" aria-label="Visit our website">https://${domain}</a></p>
@@ -67,32 +73,6 @@ export function generateFooter(pathname, env) {
                 </div>
             </div>
         </div>
-        <script>
-          window.addEventListener('DOMContentLoaded', function() {
-            if (localStorage.getItem('newsletterFooterSubscribed') === 'true') {
-              var formDiv = document.getElementById('newsletter-footer-form');
-              var successDiv = document.getElementById('newsletter-footer-success');
-              if (formDiv && successDiv) {
-                formDiv.style.display = 'none';
-                successDiv.style.display = 'block';
-              }
-            }
-            var footerForm = document.getElementById('footerNewsletterForm');
-            if (footerForm) {
-              footerForm.addEventListener('submit', async function(e) {
-                e.preventDefault();
-                // Save state and hide form
-                localStorage.setItem('newsletterFooterSubscribed', 'true');
-                var formDiv = document.getElementById('newsletter-footer-form');
-                var successDiv = document.getElementById('newsletter-footer-success');
-                if (formDiv && successDiv) {
-                  formDiv.style.display = 'none';
-                  successDiv.style.display = 'block';
-                }
-              });
-            }
-          });
-        </script>
     </footer>
   `;
 }
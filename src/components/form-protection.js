@@ -0,0 +1,103 @@
+/**
+ * Form Protection Component for GoEvergreen Website
+ * Hidden fields added to the newsletter and contact forms: a honeypot that people never
+ * see, a signed form token (fetched by the page script, so cached HTML stays generic),
+ * and a Turnstile widget when TURNSTILE_SITE_KEY is set.
+ * The checks themselves live in utils/protection.js
+ */
+
+import { escapeHtml } from '../utils/response.js';
+
+export const HONEYPOT_FIELD = 'website';
+export const FORM_TOKEN_FIELD = 'form_token';
+export const TURNSTILE_FIELD = 'cf-turnstile-response';
+
+// Refresh well before the token expires (see utils/protection.js) on pages left open
+const FORM_TOKEN_REFRESH_MINUTES = 60;
+
+export function generateFormProtectionFields(env) {
+  const siteKey = env.TURNSTILE_SITE_KEY;
+
+  return `
+    <div class="form-trap" aria-hidden="true">
+        <label>Website <input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off"></label>
+    </div>
+    <input type="hidden" name="${FORM_TOKEN_FIELD}" value="">
+    ${siteKey ? `<div class="cf-turnstile" data-sitekey="${escapeHtml(siteKey)}" data-appearance="interaction-only"></div>` : ''}
+  `;
+}
+
+export function getTurnstileScript(env) {
+  return env.TURNSTILE_SITE_KEY
+    ? '<script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>'
+    : '';
+}
+
+export function getFormProtectionJS() {
+  return `
+    // Form tokens come from an uncached endpoint, fetched when a protected form is first
+    // used rather than on every page view. Each token is accepted once
+    let formTokenRequest = null;
+    let formTokenFetchedAt = 0;
+
+    function refreshFormToken() {
+        const fields = document.querySelectorAll('input[name="${FORM_TOKEN_FIELD}"]');
+
+        formTokenFetchedAt = Date.now();
+        formTokenRequest = fetch('/api/form-token', { cache: 'no-store' })
+            .then(function(response) { return response.ok ? response.json() : null; })
+            .then(function(result) {
+                fields.forEach(function(field) { field.value = result && result.token ? result.token : ''; });
+            })
+            .catch(function(error) { console.error('Form token error:', error); });
+
+        return formTokenRequest;
+    }
+
+    document.addEventListener('focusin', function(event) {
+        const form = event.target.form;
+        if (form && form.elements.namedItem('${FORM_TOKEN_FIELD}') &&
+            (!formTokenRequest || Date.now() - formTokenFetchedAt > ${FORM_TOKEN_REFRESH_MINUTES} * 60 * 1000)) {
+            refreshFormToken();
+        }
+    });
+
+    // Protection fields sent with every newsletter and contact submission; waits for
+    // the form token, then fetches the next one since this submission uses it up
+    async function getFormProtectionData(form) {
+        await (formTokenRequest || refreshFormToken());
+
+        const data = {};
+        ['${HONEYPOT_FIELD}', '${FORM_TOKEN_FIELD}', '${TURNSTILE_FIELD}'].forEach(function(name) {
+            const field = form.elements.namedItem(name);
+            if (field) {
+                data[name] = field.value;
+            }
+        });
+
+        refreshFormToken();
+        return data;
+    }
+
+    // Turnstile tokens are single-use, so a rejected submission needs a fresh one
+    function resetFormProtection(form) {
+        const widget = form.querySelector('.cf-turnstile');
+        if (widget && window.turnstile) {
+            window.turnstile.reset(widget);
+        }
+    }
+  `;
+}
+
+export function getFormProtectionStyles() {
+  return `
+    /* Honeypot field: off-screen rather than display:none, which some bots skip */
+    .form-trap {
+        position: absolute;
+        left: -10000px;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+    }
+  `;
+}
@@ -85,4 +85,138 @@ export function getHeaderJS() {
       }
     });
   `;
-}
\ No newline at end of file
+}
+
+export function getHeaderStyles() {
+  return `
+    /* Header Styles */
+    .site-header {
+        background: white;
+        border-bottom: 3px solid #a8c09a;
+        box-shadow: 0 2px 10px rgba(44, 62, 53, 0.08);
+        position: sticky;
+        top: 0;
+        z-index: 100;
+    }
+    .header-container {
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 0.8rem 2rem;
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 1.5rem;
+    }
+    .logo-link {
+        display: flex;
+        align-items: center;
+        gap: 0.6rem;
+        text-decoration: none;
+    }
+    .logo {
+        width: 40px;
+        height: 40px;
+    }
+    .site-title {
+        color: #2c3e35;
+        font-size: 1.5rem;
+        font-weight: 700;
+    }
+    .main-navigation {
+        flex: 1;
+        display: flex;
+        justify-content: center;
+    }
+    .nav-menu {
+        list-style: none;
+        display: flex;
+        gap: 1.5rem;
+    }
+    .nav-link {
+        color: #2c3e35;
+        text-decoration: none;
+        font-weight: 500;
+        padding: 0.4rem 0;
+        border-bottom: 2px solid transparent;
+        transition: all 0.3s ease;
+    }
+    .nav-link:hover,
+    .nav-link.active {
+        color: #7a9b8e;
+        border-bottom-color: #7a9b8e;
+    }
+    .cta-button {
+        background: #7a9b8e;
+        color: white;
+        text-decoration: none;
+        padding: 0.6rem 1.4rem;
+        border-radius: 20px;
+        font-weight: 600;
+        white-space: nowrap;
+        transition: all 0.3s ease;
+    }
+    .cta-button:hover {
+        background: #6a8b7e;
+        transform: translateY(-2px);
+    }
+    .mobile-menu-toggle {
+        display: none;
+        flex-direction: column;
+        gap: 5px;
+        background: none;
+        border: none;
+        cursor: pointer;
+        padding: 0.5rem;
+    }
+    .mobile-menu-toggle span {
+        display: block;
+        width: 24px;
+        height: 3px;
+        background: #2c3e35;
+        border-radius: 2px;
+        transition: all 0.3s ease;
+    }
+    .mobile-menu-toggle.active span:nth-child(1) {
+        transform: translateY(8px) rotate(45deg);
+    }
+    .mobile-menu-toggle.active span:nth-child(2) {
+        opacity: 0;
+    }
+    .mobile-menu-toggle.active span:nth-child(3) {
+        transform: translateY(-8px) rotate(-45deg);
+    }
+    @media (max-width: 768px) {
+        .main-navigation {
+            justify-content: flex-end;
+        }
+        .mobile-menu-toggle {
+            display: flex;
+        }
+        .nav-menu {
+            display: none;
+            position: absolute;
+            top: 100%;
+            left: 0;
+            right: 0;
+            flex-direction: column;
+            gap: 0;
+            background: white;
+            box-shadow: 0 8px 16px rgba(44, 62, 53, 0.1);
+        }
+        .nav-menu.active {
+            display: flex;
+        }
+        .nav-menu li {
+            border-top: 1px solid #e8f5e8;
+        }
+        .nav-link {
+            display: block;
+            padding: 1rem 2rem;
+            border-bottom: none;
+        }
+        .header-cta {
+            display: none;
+        }
+    }
+  `;
+}
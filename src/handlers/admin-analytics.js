@@ -0,0 +1,135 @@
+/**
+ * Analytics dashboard
+ * GET /admin/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&traffic=humans|all
+ *
+ * Requires analytics:read, usually through the Cloudflare Access cookie. Both
+ * dates are inclusive UTC days; the default is the last 30 days of human traffic.
+ */
+
+import { authorizeRequest } from '../utils/auth.js';
+import {
+  getAnalyticsSummary,
+  getDailyPageViews,
+  getTopReferrers,
+  getScrollDepthFunnel,
+  getConversionAttribution,
+  getWebVitalsReport,
+  getNewsletterStats
+} from '../utils/analytics.js';
+import { generateAnalyticsDashboard, generateDashboardError } from '../components/analytics-dashboard.js';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function handleAnalyticsDashboard(request, env) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return htmlResponse(generateDashboardError(405, 'Method not allowed.'), 405);
+  }
+
+  const { principal, response } = await authorizeRequest(request, env, 'analytics:read');
+
+  if (response) {
+    const message = response.status === 401
+      ? 'Sign in through Cloudflare Access or send an API key with the analytics:read scope.'
+      : 'Your account does not have the analytics:read scope.';
+    return htmlResponse(generateDashboardError(response.status, message), response.status);
+  }
+
+  if (!env.DB) {
+    return htmlResponse(generateDashboardError(503, 'The analytics database is not available.'), 503);
+  }
+
+  const searchParams = new URL(request.url).searchParams;
+  const { from, to, days } = parseDateRange(searchParams);
+  const range = { from, to };
+  const humansOnly = searchParams.get('traffic') !== 'all';
+
+  try {
+    const [summary, daily, referrers, funnel, newsletter, firstTouch, lastTouch, vitals] = await Promise.all([
+      getAnalyticsSummary(env.DB, range, { humansOnly }),
+      getDailyPageViews(env.DB, range, { humansOnly }),
+      getTopReferrers(env.DB, range, {
+        excludeHost: (env.DOMAIN || 'goevergreen.shop').replace(/^www\./, ''),
+        humansOnly
+      }),
+      getScrollDepthFunnel(env.DB, range),
+      getNewsletterStats(env.DB, range),
+      getConversionAttribution(env.DB, range, { type: 'newsletter_signup', touch: 'first' }),
+      getConversionAttribution(env.DB, range, { type: 'newsletter_signup', touch: 'last' }),
+      getWebVitalsReport(env.DB, range)
+    ]);
+
+    return htmlResponse(generateAnalyticsDashboard({
+      from,
+      to,
+      days,
+      humansOnly,
+      summary,
+      daily,
+      referrers,
+      funnel,
+      newsletter,
+      attribution: { firstTouch, lastTouch },
+      vitals,
+      principal
+    }));
+  } catch (error) {
+    console.error('Analytics dashboard error:', error);
+    return htmlResponse(generateDashboardError(500, 'The dashboard could not be loaded.'), 500);
+  }
+}
+
+// Invalid dates fall back to the default range; reversed dates are swapped
+function parseDateRange(searchParams) {
+  const today = new Date().toISOString().substring(0, 10);
+  let to = parseDate(searchParams.get('to')) || today;
+  let from = parseDate(searchParams.get('from')) || shiftDate(to, -(DEFAULT_DAYS - 1));
+
+  if (from > to) {
+    [from, to] = [to, from];
+  }
+
+  if (to > today) {
+    to = today;
+    from = from > to ? to : from;
+  }
+
+  const earliest = shiftDate(to, -(MAX_DAYS - 1));
+  if (from < earliest) {
+    from = earliest;
+  }
+
+  const days = Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000)) + 1;
+
+  return { from, to, days };
+}
+
+function parseDate(value) {
+  if (!value || !DATE_PATTERN.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? value : null;
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().substring(0, 10);
+}
+
+// The page has no scripts and only inline styles; it must never be cached or indexed
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'private, no-store',
+      'X-Robots-Tag': 'noindex, nofollow',
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src data:; form-action 'self'; frame-ancestors 'none'; base-uri 'none'"
+    }
+  });
+}
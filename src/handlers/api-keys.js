@@ -0,0 +1,188 @@
+/**
+ * API key management
+ * /api/auth/keys        GET (list), POST { name, scopes, expires_in_days }
+ * /api/auth/keys/:id    GET, DELETE (revoke)
+ *
+ * Requires keys:manage. Keys are shown once when created; only their SHA-256
+ * hash is stored. A caller can only grant, or revoke keys with, scopes it holds itself.
+ */
+
+import { SCOPES, ALL_SCOPES, API_KEY_PREFIX, hasScope, parseScopes, hashApiKey } from '../utils/auth.js';
+import { jsonResponse, readJsonObject } from '../utils/response.js';
+
+const MAX_EXPIRY_DAYS = 365 * 2;
+
+export async function handleApiKeysAPI(request, env, segments, principal) {
+  if (!env.DB) {
+    return jsonResponse({ error: 'Database not available' }, 503);
+  }
+
+  const id = segments[4];
+
+  try {
+    if (!id) {
+      switch (request.method) {
+        case 'GET':
+          return await listApiKeys(env.DB);
+        case 'POST':
+          return await createApiKey(request, env.DB, principal);
+        default:
+          return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+    }
+
+    const apiKey = await getApiKey(env.DB, id);
+
+    if (!apiKey) {
+      return jsonResponse({ error: 'API key not found' }, 404);
+    }
+
+    switch (request.method) {
+      case 'GET':
+        return jsonResponse({ key: apiKey });
+      case 'DELETE':
+        return await revokeApiKey(env.DB, apiKey, principal);
+      default:
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+  } catch (error) {
+    console.error('API keys error:', error);
+    return jsonResponse({ error: 'API key request failed' }, 500);
+  }
+}
+
+async function listApiKeys(db) {
+  const { results } = await db.prepare(`
+    SELECT id, name, prefix, scopes, created_by, created_at, last_used_at, expires_at, revoked_at
+    FROM api_keys
+    ORDER BY id DESC
+  `).all();
+
+  return jsonResponse({ keys: (results || []).map(formatApiKey), available_scopes: SCOPES });
+}
+
+async function createApiKey(request, db, principal) {
+  const data = await readJsonObject(request);
+
+  if (!data) {
+    return jsonResponse({ error: 'Request body must be a JSON object sent as application/json' }, 400);
+  }
+
+  const { name, scopes, expires_in_days } = data;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return jsonResponse({ error: 'name is required' }, 400);
+  }
+
+  const requested = parseScopes(scopes);
+  const unknown = requested.filter(scope => scope !== ALL_SCOPES && !SCOPES.includes(scope));
+
+  if (requested.length === 0 || unknown.length > 0) {
+    return jsonResponse({
+      error: unknown.length > 0 ? `Unknown scopes: ${unknown.join(', ')}` : 'At least one scope is required',
+      available_scopes: SCOPES
+    }, 400);
+  }
+
+  const notHeld = getScopesNotHeld(principal, requested);
+  if (notHeld.length > 0) {
+    return jsonResponse({ error: `Cannot grant scopes you do not hold: ${notHeld.join(', ')}` }, 403);
+  }
+
+  let expiresAt = null;
+  if (expires_in_days !== undefined && expires_in_days !== null) {
+    const days = Number(expires_in_days);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+      return jsonResponse({ error: `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}` }, 400);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const key = generateApiKey();
+  const prefix = key.substring(0, API_KEY_PREFIX.length + 8);
+  const createdAt = new Date().toISOString();
+
+  const { meta } = await db.prepare(`
+    INSERT INTO api_keys (name, prefix, key_hash, scopes, created_by, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    name.trim().substring(0, 100),
+    prefix,
+    await hashApiKey(key),
+    requested.join(' '),
+    `${principal.type}:${principal.name}`,
+    createdAt,
+    expiresAt
+  ).run();
+
+  console.log(`API key ${prefix} created by ${principal.type}:${principal.name} with scopes ${requested.join(' ')}`);
+
+  return jsonResponse({
+    success: true,
+    // The only time the key is returned
+    api_key: key,
+    key: formatApiKey({
+      id: meta.last_row_id,
+      name: name.trim().substring(0, 100),
+      prefix,
+      scopes: requested.join(' '),
+      created_by: `${principal.type}:${principal.name}`,
+      created_at: createdAt,
+      last_used_at: null,
+      expires_at: expiresAt,
+      revoked_at: null
+    })
+  }, 201);
+}
+
+async function revokeApiKey(db, apiKey, principal) {
+  // Otherwise a narrower key could lock out a broader one
+  const notHeld = getScopesNotHeld(principal, apiKey.scopes);
+  if (notHeld.length > 0) {
+    return jsonResponse({ error: `Cannot revoke a key with scopes you do not hold: ${notHeld.join(', ')}` }, 403);
+  }
+
+  if (apiKey.revoked_at) {
+    return jsonResponse({ success: true, key: apiKey });
+  }
+
+  const revokedAt = new Date().toISOString();
+  await db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ?').bind(revokedAt, apiKey.id).run();
+
+  console.log(`API key ${apiKey.prefix} revoked by ${principal.type}:${principal.name}`);
+
+  return jsonResponse({ success: true, key: { ...apiKey, revoked_at: revokedAt } });
+}
+
+async function getApiKey(db, id) {
+  // Anything but a plain id is simply not found (Number() would bind NaN)
+  if (!/^\d+$/.test(String(id))) {
+    return null;
+  }
+
+  const row = await db.prepare(`
+    SELECT id, name, prefix, scopes, created_by, created_at, last_used_at, expires_at, revoked_at
+    FROM api_keys WHERE id = ?
+  `).bind(Number(id)).first();
+
+  return row ? formatApiKey(row) : null;
+}
+
+// '*' is only held by callers that have it, not by callers that happen to hold every named scope
+function getScopesNotHeld(principal, scopes) {
+  return scopes.filter(scope => scope === ALL_SCOPES ? !principal.scopes.includes(ALL_SCOPES) : !hasScope(principal, scope));
+}
+
+function formatApiKey(row) {
+  return { ...row, scopes: parseScopes(row.scopes) };
+}
+
+// gek_ followed by 32 random bytes, base64url encoded
+function generateApiKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return API_KEY_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,426 @@
+/**
+ * Newsletter campaigns
+ * Admin API to create, preview and schedule campaigns, and the batched sender run by
+ * the scheduled handler. Recipients are queued as newsletter_deliveries rows when a
+ * campaign starts; each run claims a batch, sends it and records the outcome, so an
+ * interrupted send resumes where it stopped. Failed deliveries are retried with a
+ * growing delay until they have used MAX_ATTEMPTS.
+ */
+
+import { sendMail } from '../utils/mail.js';
+import { escapeHtml, jsonResponse, readJsonObject, isJsonRequest } from '../utils/response.js';
+import { decodeEntities } from '../utils/wordpress-api.js';
+import { getUnsubscribeHeaders, getManageUrl } from './newsletter.js';
+
+// Each email is one subrequest; stay well under the per-invocation limit
+const DEFAULT_BATCH_SIZE = 40;
+const MAX_ATTEMPTS = 3;
+// Deliveries left in "sending" by a run that crashed are retried after this long
+const CLAIM_TIMEOUT_MINUTES = 15;
+// Delay before retrying a failed delivery: 15 minutes after the first failure, 60 after the second
+const RETRY_DELAY_MINUTES = 15;
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+/**
+ * /api/campaigns                  GET list, POST create
+ * /api/campaigns/:id              GET details with delivery counts, PATCH update
+ * /api/campaigns/:id/preview      GET rendered email (?format=html|text|json, ?email=)
+ * /api/campaigns/:id/schedule     POST { send_at } (defaults to now)
+ * /api/campaigns/:id/cancel       POST
+ */
+export async function handleCampaignsAPI(request, env, segments) {
+  if (!env.DB) {
+    return jsonResponse({ error: 'Database not available' }, 503);
+  }
+
+  const [id, action] = [segments[3], segments[4]];
+
+  try {
+    if (!id) {
+      if (request.method === 'GET') {
+        return await listCampaigns(env.DB);
+      }
+      if (request.method === 'POST') {
+        return await createCampaign(request, env.DB);
+      }
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const campaign = await getCampaign(env.DB, id);
+
+    if (!campaign) {
+      return jsonResponse({ error: 'Campaign not found' }, 404);
+    }
+
+    switch (`${request.method} ${action || ''}`) {
+      case 'GET ':
+        return jsonResponse({ campaign, deliveries: await getDeliveryCounts(env.DB, campaign.id) });
+      case 'PATCH ':
+        return await updateCampaign(request, env.DB, campaign);
+      case 'GET preview':
+        return await previewCampaign(request, env, campaign);
+      case 'POST schedule':
+        return await scheduleCampaign(request, env.DB, campaign);
+      case 'POST cancel':
+        return await cancelCampaign(env.DB, campaign);
+      default:
+        return jsonResponse({ error: 'API endpoint not found' }, 404);
+    }
+  } catch (error) {
+    console.error('Campaign API error:', error);
+    return jsonResponse({ error: 'Campaign request failed' }, 500);
+  }
+}
+
+/**
+ * Send the next batch of every due campaign. Called by the scheduled handler;
+ * returns per-campaign counts for logging.
+ */
+export async function sendScheduledCampaigns(env, { batchSize } = {}) {
+  const db = env.DB;
+  let remaining = batchSize || parseInt(env.NEWSLETTER_BATCH_SIZE || '', 10) || DEFAULT_BATCH_SIZE;
+  const summary = [];
+
+  const { results: campaigns } = await db.prepare(`
+    SELECT * FROM newsletter_campaigns
+    WHERE status IN ('scheduled', 'sending') AND scheduled_at <= ?
+    ORDER BY scheduled_at, id
+  `).bind(new Date().toISOString()).all();
+
+  for (const campaign of campaigns || []) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    if (campaign.status === 'scheduled') {
+      await startCampaign(db, campaign);
+    }
+
+    const result = await sendCampaignBatch(campaign, remaining, env);
+    remaining -= result.attempted;
+    summary.push(result);
+  }
+
+  if (summary.length > 0) {
+    console.log('Newsletter campaign batches:', summary);
+  }
+
+  return summary;
+}
+
+async function startCampaign(db, campaign) {
+  const now = new Date().toISOString();
+
+  // Queue every active subscriber once; INSERT OR IGNORE makes a repeated start harmless
+  await db.batch([
+    db.prepare(`
+      INSERT OR IGNORE INTO newsletter_deliveries (campaign_id, subscriber_id, email)
+      SELECT ?, id, email FROM newsletter_subscribers
+      WHERE confirmed = TRUE AND unsubscribed = FALSE
+    `).bind(campaign.id),
+    db.prepare(
+      "UPDATE newsletter_campaigns SET status = 'sending', started_at = ?, updated_at = ? WHERE id = ? AND status = 'scheduled'"
+    ).bind(now, now, campaign.id)
+  ]);
+}
+
+async function sendCampaignBatch(campaign, limit, env) {
+  const db = env.DB;
+  const now = new Date().toISOString();
+  const staleBefore = new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+  const result = { campaignId: campaign.id, attempted: 0, sent: 0, failed: 0, remaining: 0 };
+
+  // Subscribers who left (or were removed) after the campaign started are skipped
+  await db.prepare(`
+    UPDATE newsletter_deliveries SET status = 'skipped'
+    WHERE campaign_id = ? AND status IN ('pending', 'failed')
+      AND subscriber_id NOT IN (SELECT id FROM newsletter_subscribers WHERE unsubscribed = FALSE)
+  `).bind(campaign.id).run();
+
+  // A run that died during a delivery's last attempt leaves it in "sending"; give up on it
+  await db.prepare(`
+    UPDATE newsletter_deliveries SET status = 'failed', error = COALESCE(error, 'Send interrupted')
+    WHERE campaign_id = ? AND status = 'sending' AND claimed_at < ? AND attempts >= ?
+  `).bind(campaign.id, staleBefore, MAX_ATTEMPTS).run();
+
+  // Claim the batch in one statement so overlapping runs never send the same delivery
+  const { results: claimed } = await db.prepare(`
+    UPDATE newsletter_deliveries
+    SET status = 'sending', claimed_at = ?, attempts = attempts + 1
+    WHERE id IN (
+      SELECT id FROM newsletter_deliveries
+      WHERE campaign_id = ? AND attempts < ?
+        AND ((status IN ('pending', 'failed') AND (next_attempt_at IS NULL OR next_attempt_at <= ?))
+          OR (status = 'sending' AND claimed_at < ?))
+      ORDER BY id
+      LIMIT ?
+    )
+    RETURNING id, email, attempts,
+      (SELECT name FROM newsletter_subscribers WHERE id = subscriber_id) AS name
+  `).bind(now, campaign.id, MAX_ATTEMPTS, now, staleBefore, limit).all();
+
+  for (const delivery of claimed || []) {
+    let sent;
+
+    // One bad delivery (or a missing NEWSLETTER_SECRET) must not abandon the rest of the batch
+    try {
+      const email = await renderCampaignEmail(campaign, { email: delivery.email, name: delivery.name }, env);
+      sent = await sendMail(env, { to: delivery.email, ...email });
+    } catch (error) {
+      console.error(`Campaign ${campaign.id} delivery ${delivery.id} error:`, error.message);
+      sent = { success: false, error: error.message };
+    }
+
+    const retryAt = new Date(Date.now() + RETRY_DELAY_MINUTES * 4 ** (delivery.attempts - 1) * 60 * 1000).toISOString();
+
+    await db.prepare(
+      'UPDATE newsletter_deliveries SET status = ?, error = ?, sent_at = ?, next_attempt_at = ? WHERE id = ?'
+    ).bind(
+      sent.success ? 'sent' : 'failed',
+      sent.success ? null : String(sent.error).substring(0, 500),
+      sent.success ? new Date().toISOString() : null,
+      sent.success ? null : retryAt,
+      delivery.id
+    ).run();
+
+    result.attempted++;
+    result[sent.success ? 'sent' : 'failed']++;
+  }
+
+  // Same attempts rule as the claim; rows in "sending" either finish or are reclaimed or failed above
+  const pending = await db.prepare(`
+    SELECT COUNT(*) as count FROM newsletter_deliveries
+    WHERE campaign_id = ?
+      AND (status IN ('pending', 'sending') OR (status = 'failed' AND attempts < ?))
+  `).bind(campaign.id, MAX_ATTEMPTS).first();
+
+  result.remaining = pending?.count || 0;
+
+  if (result.remaining === 0) {
+    const completedAt = new Date().toISOString();
+    await db.prepare(
+      "UPDATE newsletter_campaigns SET status = 'sent', completed_at = ?, updated_at = ? WHERE id = ? AND status = 'sending'"
+    ).bind(completedAt, completedAt, campaign.id).run();
+  }
+
+  return result;
+}
+
+/**
+ * Personalize a campaign for one subscriber. {{name}}, {{email}}, {{unsubscribe_url}}
+ * and {{preferences_url}} are replaced in the subject, HTML and text; every email
+ * gets a footer with the unsubscribe and preference links.
+ */
+async function renderCampaignEmail(campaign, subscriber, env) {
+  const [headers, preferencesUrl] = await Promise.all([
+    getUnsubscribeHeaders(subscriber.email, env),
+    getManageUrl('preferences', subscriber.email, env)
+  ]);
+
+  const values = {
+    name: subscriber.name || 'there',
+    email: subscriber.email,
+    unsubscribe_url: headers['List-Unsubscribe'].slice(1, -1),
+    preferences_url: preferencesUrl
+  };
+
+  const fill = (template, escape) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (!(key in values)) {
+      return match;
+    }
+    return escape ? escapeHtml(values[key]) : values[key];
+  });
+
+  const text = campaign.text || htmlToText(campaign.html);
+
+  return {
+    subject: fill(campaign.subject, false),
+    headers,
+    text: `${fill(text, false)}
+
+--
+You are receiving this email because you subscribed to the GoEvergreen newsletter.
+Manage preferences: ${values.preferences_url}
+Unsubscribe: ${values.unsubscribe_url}`,
+    html: `${fill(campaign.html, true)}
+<hr style="border:none;border-top:1px solid #e8f5e8;margin:32px 0 16px;">
+<p style="color:#5a6b5d;font-size:12px;">You are receiving this email because you subscribed to the GoEvergreen newsletter.<br>
+<a href="${escapeHtml(values.preferences_url)}" style="color:#7a9b8e;">Manage preferences</a> · <a href="${escapeHtml(values.unsubscribe_url)}" style="color:#7a9b8e;">Unsubscribe</a></p>`
+  };
+}
+
+async function listCampaigns(db) {
+  const { results } = await db.prepare(`
+    SELECT id, subject, status, scheduled_at, started_at, completed_at, created_at, updated_at
+    FROM newsletter_campaigns
+    ORDER BY id DESC
+    LIMIT 100
+  `).all();
+
+  return jsonResponse({ campaigns: results || [] });
+}
+
+async function createCampaign(request, db) {
+  const body = await readJsonObject(request);
+
+  if (!body) {
+    return jsonResponse({ error: 'Request body must be a JSON object sent as application/json' }, 400);
+  }
+
+  const { subject, html, text } = body;
+  const error = validateCampaign({ subject, html, text });
+
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+
+  const result = await db.prepare(
+    'INSERT INTO newsletter_campaigns (subject, html, text) VALUES (?, ?, ?)'
+  ).bind(subject.trim(), html, text || null).run();
+
+  return jsonResponse({ success: true, campaign: await getCampaign(db, result.meta.last_row_id) }, 201);
+}
+
+async function updateCampaign(request, db, campaign) {
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    return jsonResponse({ error: `Campaign is ${campaign.status} and can no longer be edited` }, 409);
+  }
+
+  const changes = await readJsonObject(request);
+
+  if (!changes) {
+    return jsonResponse({ error: 'Request body must be a JSON object sent as application/json' }, 400);
+  }
+
+  const updated = {
+    subject: changes.subject ?? campaign.subject,
+    html: changes.html ?? campaign.html,
+    text: changes.text ?? campaign.text
+  };
+  const error = validateCampaign(updated);
+
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+
+  await db.prepare(
+    'UPDATE newsletter_campaigns SET subject = ?, html = ?, text = ?, updated_at = ? WHERE id = ?'
+  ).bind(updated.subject.trim(), updated.html, updated.text || null, new Date().toISOString(), campaign.id).run();
+
+  return jsonResponse({ success: true, campaign: await getCampaign(db, campaign.id) });
+}
+
+async function previewCampaign(request, env, campaign) {
+  const url = new URL(request.url);
+  const email = (url.searchParams.get('email') || '').trim().toLowerCase();
+  const subscriber = email
+    ? await env.DB.prepare('SELECT email, name FROM newsletter_subscribers WHERE email = ?').bind(email).first()
+    : null;
+
+  const rendered = await renderCampaignEmail(
+    campaign,
+    subscriber || { email: email || `preview@${env.DOMAIN}`, name: '' },
+    env
+  );
+
+  switch (url.searchParams.get('format')) {
+    case 'json':
+      return jsonResponse({ preview: rendered });
+    case 'text':
+      return new Response(`Subject: ${rendered.subject}\n\n${rendered.text}`, {
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    default:
+      return new Response(rendered.html, {
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+      });
+  }
+}
+
+async function scheduleCampaign(request, db, campaign) {
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    return jsonResponse({ error: `Campaign is ${campaign.status} and cannot be scheduled` }, 409);
+  }
+
+  const body = isJsonRequest(request) ? await readJsonObject(request) : {};
+
+  if (!body) {
+    return jsonResponse({ error: 'Request body must be a JSON object sent as application/json' }, 400);
+  }
+
+  const sendAt = body.send_at ? new Date(body.send_at) : new Date();
+
+  if (Number.isNaN(sendAt.getTime())) {
+    return jsonResponse({ error: 'send_at must be an ISO 8601 date' }, 400);
+  }
+
+  await db.prepare(
+    "UPDATE newsletter_campaigns SET status = 'scheduled', scheduled_at = ?, updated_at = ? WHERE id = ?"
+  ).bind(sendAt.toISOString(), new Date().toISOString(), campaign.id).run();
+
+  return jsonResponse({ success: true, campaign: await getCampaign(db, campaign.id) });
+}
+
+async function cancelCampaign(db, campaign) {
+  if (!['draft', 'scheduled', 'sending'].includes(campaign.status)) {
+    return jsonResponse({ error: `Campaign is ${campaign.status} and cannot be cancelled` }, 409);
+  }
+
+  const now = new Date().toISOString();
+
+  await db.batch([
+    db.prepare(
+      "UPDATE newsletter_campaigns SET status = 'cancelled', updated_at = ? WHERE id = ?"
+    ).bind(now, campaign.id),
+    db.prepare(
+      "UPDATE newsletter_deliveries SET status = 'skipped' WHERE campaign_id = ? AND status IN ('pending', 'failed')"
+    ).bind(campaign.id)
+  ]);
+
+  return jsonResponse({ success: true, campaign: await getCampaign(db, campaign.id) });
+}
+
+function validateCampaign({ subject, html, text }) {
+  if (typeof subject !== 'string' || !subject.trim() || subject.length > 200) {
+    return 'subject is required (max 200 characters)';
+  }
+  if (typeof html !== 'string' || !html.trim()) {
+    return 'html is required';
+  }
+  if (text != null && typeof text !== 'string') {
+    return 'text must be a string';
+  }
+  return null;
+}
+
+async function getCampaign(db, id) {
+  // Anything but a plain id is simply not found (Number() would bind NaN)
+  if (!/^\d+$/.test(String(id))) {
+    return null;
+  }
+
+  return db.prepare('SELECT * FROM newsletter_campaigns WHERE id = ?').bind(Number(id)).first();
+}
+
+async function getDeliveryCounts(db, campaignId) {
+  const { results } = await db.prepare(
+    'SELECT status, COUNT(*) as count FROM newsletter_deliveries WHERE campaign_id = ? GROUP BY status'
+  ).bind(campaignId).all();
+
+  return Object.fromEntries((results || []).map(row => [row.status, row.count]));
+}
+
+// Plain-text part for campaigns written only in HTML
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
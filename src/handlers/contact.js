@@ -0,0 +1,367 @@
+/**
+ * Contact form handlers
+ * Public submissions from the /contact-us form, and an authenticated inbox API
+ * for reading submissions and moving them through new → read → replied → archived.
+ * Each new submission is emailed to CONTACT_EMAIL with Reply-To set to the visitor and
+ * to a signed reply+<id>-<tag>@DOMAIN address, so replies are filed into the submission's
+ * thread by the email() handler.
+ */
+
+import { escapeHtml, jsonResponse, readJsonObject } from '../utils/response.js';
+import { buildMimeMessage } from '../utils/mime.js';
+import { sendOrQueueEmail } from '../utils/outbox.js';
+import { signTag, verifyTag } from '../utils/tokens.js';
+import { checkSubmission, createBlockedResponse } from '../utils/protection.js';
+import { CONTACT_LIMITS } from '../components/contact-form.js';
+
+export const CONTACT_STATUSES = ['new', 'read', 'replied', 'archived'];
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_THREAD_BODY_LENGTH = 20000;
+
+export async function handleContactSubmission(request, env) {
+  if (request.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const data = await readJsonObject(request);
+
+    if (!data) {
+      return jsonResponse({ error: 'Request body must be a JSON object sent as application/json' }, 400);
+    }
+
+    const { name, email, message } = data;
+
+    const protection = await checkSubmission(request, env, data, 'contact');
+    if (!protection.allowed) {
+      return protection.silent ? createSubmittedResponse() : createBlockedResponse(protection);
+    }
+
+    // Validate inputs
+    if (!name || !email || !message || typeof name !== 'string' || typeof email !== 'string' || typeof message !== 'string') {
+      return jsonResponse({ error: 'All fields are required' }, 400);
+    }
+
+    // Sanitize inputs
+    const sanitizedName = name.trim().substring(0, CONTACT_LIMITS.name);
+    const sanitizedEmail = email.trim().toLowerCase();
+    const sanitizedMessage = message.trim();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sanitizedEmail) || sanitizedEmail.length > CONTACT_LIMITS.email) {
+      return jsonResponse({ error: 'Valid email required' }, 400);
+    }
+
+    if (sanitizedMessage.length < CONTACT_LIMITS.minMessage || sanitizedMessage.length > CONTACT_LIMITS.message) {
+      return jsonResponse({
+        error: `Message must be between ${CONTACT_LIMITS.minMessage} and ${CONTACT_LIMITS.message} characters`
+      }, 400);
+    }
+
+    // Without storage the message would be lost, so tell the visitor instead
+    if (!env.DB) {
+      console.error('Contact form submission without database');
+      return jsonResponse({ error: `We could not send your message. Please email us at ${env.CONTACT_EMAIL || 'info@goevergreen.shop'}.` }, 503);
+    }
+
+    const submittedAt = new Date().toISOString();
+    const { meta } = await env.DB.prepare(
+      'INSERT INTO contact_submissions (name, email, message, submitted_at) VALUES (?, ?, ?, ?)'
+    ).bind(sanitizedName, sanitizedEmail, sanitizedMessage, submittedAt).run();
+
+    console.log(`Contact form submission from: ${sanitizedEmail}`);
+
+    // The submission is already stored, so a failed notification is queued rather than reported
+    await notifyContactSubmission(env, {
+      id: meta?.last_row_id,
+      name: sanitizedName,
+      email: sanitizedEmail,
+      message: sanitizedMessage,
+      submittedAt
+    });
+
+    return createSubmittedResponse();
+
+  } catch (error) {
+    console.error('Contact form error:', error);
+    return jsonResponse({ error: 'Failed to submit. Please try again.' }, 500);
+  }
+}
+
+function createSubmittedResponse() {
+  return jsonResponse({
+    success: true,
+    message: 'Thank you for contacting us! We\'ll get back to you soon.'
+  });
+}
+
+/**
+ * Email a new submission to CONTACT_EMAIL through the send_email binding.
+ * Replying to the notification answers the visitor directly and copies the thread address.
+ */
+async function notifyContactSubmission(env, submission) {
+  const domain = env.DOMAIN || 'goevergreen.shop';
+  const from = env.CONTACT_FROM || `contact-form@${domain}`;
+  const to = env.CONTACT_EMAIL || 'info@goevergreen.shop';
+  const subject = `New contact message from ${submission.name}`;
+  const threadAddress = await getContactReplyAddress(submission.id, env);
+
+  const raw = buildMimeMessage({
+    from: { name: 'GoEvergreen Contact Form', email: from },
+    to,
+    replyTo: [
+      { name: submission.name, email: submission.email },
+      ...(threadAddress ? [{ name: 'GoEvergreen Contact Inbox', email: threadAddress }] : [])
+    ],
+    subject,
+    messageId: `<contact-${submission.id}.${Date.now()}@${domain}>`,
+    text: [
+      `Name: ${submission.name}`,
+      `Email: ${submission.email}`,
+      `Submitted: ${submission.submittedAt}`,
+      '',
+      submission.message,
+      '',
+      '--',
+      `Reply to this email to answer ${submission.name} directly.`,
+      `Submission #${submission.id} in the contact inbox (/api/contact/submissions/${submission.id}).`
+    ].join('\n'),
+    html: `
+      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e35; line-height: 1.6;">
+        <h2 style="color: #7a9b8e;">New contact message</h2>
+        <p>
+          <strong>Name:</strong> ${escapeHtml(submission.name)}<br>
+          <strong>Email:</strong> <a href="mailto:${escapeHtml(submission.email)}">${escapeHtml(submission.email)}</a><br>
+          <strong>Submitted:</strong> ${escapeHtml(submission.submittedAt)}
+        </p>
+        <blockquote style="border-left: 4px solid #a8c09a; margin: 0; padding: 0.5rem 1rem; white-space: pre-wrap;">${escapeHtml(submission.message)}</blockquote>
+        <p style="color: #7a9b8e; font-size: 0.9rem;">
+          Reply to this email to answer ${escapeHtml(submission.name)} directly.
+          Submission #${submission.id} in the contact inbox.
+        </p>
+      </div>
+    `
+  });
+
+  return sendOrQueueEmail(env, { from, to, subject, raw });
+}
+
+/**
+ * reply+<id>-<tag>@DOMAIN, where tag is a short HMAC of the submission id so mail
+ * cannot be filed into a thread whose address was never sent out.
+ * Null (no thread address) when EMAIL_REPLY_SECRET is not set.
+ */
+export async function getContactReplyAddress(submissionId, env) {
+  if (!env.EMAIL_REPLY_SECRET || !submissionId) {
+    return null;
+  }
+
+  const tag = await signTag(`contact-reply:${submissionId}`, env.EMAIL_REPLY_SECRET);
+  return `reply+${submissionId}-${tag}@${env.DOMAIN || 'goevergreen.shop'}`;
+}
+
+// The submission id a reply address belongs to, or null
+export async function matchContactReplyAddress(address, env) {
+  const match = String(address || '').trim().toLowerCase().match(/^reply\+(\d+)-([0-9a-f]+)@(.+)$/);
+
+  if (!match || match[3] !== (env.DOMAIN || 'goevergreen.shop').toLowerCase()) {
+    return null;
+  }
+
+  const valid = await verifyTag(`contact-reply:${match[1]}`, match[2], env.EMAIL_REPLY_SECRET);
+  return valid ? Number(match[1]) : null;
+}
+
+/**
+ * File an inbound email into a submission's thread. Mail from the visitor reopens the
+ * submission as 'new'; anyone else on the thread (staff replying from the notification)
+ * marks it 'replied'. Returns null when the submission does not exist.
+ */
+export async function addContactThreadMessage(db, submissionId, { fromEmail, fromName, subject, body, messageId, inReplyTo }) {
+  const submission = await getSubmission(db, submissionId);
+
+  if (!submission) {
+    return null;
+  }
+
+  const author = fromEmail === submission.email ? 'visitor' : 'staff';
+  const receivedAt = new Date().toISOString();
+
+  // message_id is unique per thread, so a redelivered email is only stored once
+  const { meta } = await db.prepare(`
+    INSERT OR IGNORE INTO contact_messages
+      (submission_id, author, from_email, from_name, subject, body, message_id, in_reply_to, received_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    submission.id,
+    author,
+    fromEmail,
+    fromName || null,
+    subject ? subject.substring(0, 500) : null,
+    body.substring(0, MAX_THREAD_BODY_LENGTH),
+    messageId || null,
+    inReplyTo || null,
+    receivedAt
+  ).run();
+
+  const stored = (meta?.changes || 0) > 0;
+
+  if (stored) {
+    await db.prepare(
+      'UPDATE contact_submissions SET status = ? WHERE id = ?'
+    ).bind(author === 'visitor' ? 'new' : 'replied', submission.id).run();
+  }
+
+  return { submissionId: submission.id, author, duplicate: !stored };
+}
+
+/**
+ * /api/contact/submissions        GET ?status=&email=&limit=&cursor=
+ * /api/contact/submissions/:id    GET (with its email thread), PATCH { status }
+ *
+ * Lists are newest first and paged with a (submitted_at, id) cursor,
+ * which walks idx_contact_submitted instead of counting OFFSET rows.
+ */
+export async function handleContactInboxAPI(request, env, segments) {
+  if (!env.DB) {
+    return jsonResponse({ error: 'Database not available' }, 503);
+  }
+
+  const id = segments[4];
+
+  try {
+    if (!id) {
+      return request.method === 'GET'
+        ? await listSubmissions(request, env.DB)
+        : jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const submission = await getSubmission(env.DB, id);
+
+    if (!submission) {
+      return jsonResponse({ error: 'Submission not found' }, 404);
+    }
+
+    switch (request.method) {
+      case 'GET':
+        return jsonResponse({ submission, messages: await getThreadMessages(env.DB, submission.id) });
+      case 'PATCH':
+        return await updateSubmissionStatus(request, env.DB, submission);
+      default:
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+  } catch (error) {
+    console.error('Contact inbox API error:', error);
+    return jsonResponse({ error: 'Inbox request failed' }, 500);
+  }
+}
+
+async function listSubmissions(request, db) {
+  const params = new URL(request.url).searchParams;
+  const status = params.get('status');
+  const email = params.get('email');
+  const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const conditions = [];
+  const bindings = [];
+
+  if (status) {
+    if (!CONTACT_STATUSES.includes(status)) {
+      return jsonResponse({ error: `status must be one of: ${CONTACT_STATUSES.join(', ')}` }, 400);
+    }
+    conditions.push('status = ?');
+    bindings.push(status);
+  }
+
+  if (email) {
+    conditions.push('email = ?');
+    bindings.push(email.trim().toLowerCase());
+  }
+
+  if (params.get('cursor')) {
+    const cursor = decodeCursor(params.get('cursor'));
+    if (!cursor) {
+      return jsonResponse({ error: 'Invalid cursor' }, 400);
+    }
+    conditions.push('(submitted_at < ? OR (submitted_at = ? AND id < ?))');
+    bindings.push(cursor.submittedAt, cursor.submittedAt, cursor.id);
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const { results } = await db.prepare(`
+    SELECT id, name, email, message, status, submitted_at
+    FROM contact_submissions
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY submitted_at DESC, id DESC
+    LIMIT ?
+  `).bind(...bindings, limit + 1).all();
+
+  const submissions = (results || []).slice(0, limit);
+  const last = submissions[submissions.length - 1];
+
+  const counts = await db.prepare(
+    'SELECT status, COUNT(*) as count FROM contact_submissions GROUP BY status'
+  ).all();
+
+  return jsonResponse({
+    submissions,
+    next_cursor: (results || []).length > limit ? encodeCursor(last) : null,
+    counts: Object.fromEntries((counts.results || []).map(row => [row.status, row.count]))
+  });
+}
+
+async function updateSubmissionStatus(request, db, submission) {
+  const body = await readJsonObject(request);
+
+  if (!body) {
+    return jsonResponse({ error: 'Request body must be a JSON object sent as application/json' }, 400);
+  }
+
+  const { status } = body;
+
+  if (!CONTACT_STATUSES.includes(status)) {
+    return jsonResponse({ error: `status must be one of: ${CONTACT_STATUSES.join(', ')}` }, 400);
+  }
+
+  await db.prepare(
+    'UPDATE contact_submissions SET status = ? WHERE id = ?'
+  ).bind(status, submission.id).run();
+
+  return jsonResponse({ success: true, submission: { ...submission, status } });
+}
+
+async function getSubmission(db, id) {
+  // Anything but a plain id is simply not found (Number() would bind NaN)
+  if (!/^\d+$/.test(String(id))) {
+    return null;
+  }
+
+  return db.prepare(
+    'SELECT id, name, email, message, status, submitted_at, created_at FROM contact_submissions WHERE id = ?'
+  ).bind(Number(id)).first();
+}
+
+async function getThreadMessages(db, submissionId) {
+  const { results } = await db.prepare(`
+    SELECT id, author, from_email, from_name, subject, body, message_id, received_at
+    FROM contact_messages
+    WHERE submission_id = ?
+    ORDER BY received_at, id
+  `).bind(submissionId).all();
+
+  return results || [];
+}
+
+function encodeCursor(submission) {
+  return btoa(JSON.stringify([submission.submitted_at, submission.id]))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [submittedAt, id] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof submittedAt === 'string' && Number.isInteger(id) ? { submittedAt, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
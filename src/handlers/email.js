@@ -0,0 +1,111 @@
+/**
+ * Inbound email handler
+ * Mail sent to a contact thread address (reply+<id>-<tag>@DOMAIN) is parsed and filed
+ * into that submission's thread; everything else is forwarded to EMAIL_FORWARD_TO
+ */
+
+import { parseMimeMessage } from '../utils/mime.js';
+import { matchContactReplyAddress, addContactThreadMessage } from './contact.js';
+
+// Larger messages (usually attachments) are forwarded instead of parsed in the worker
+const MAX_PARSE_SIZE = 1024 * 1024;
+
+export async function handleInboundEmail(message, env) {
+  const submissionId = await matchContactReplyAddress(message.to, env);
+
+  if (!submissionId) {
+    return forwardUnmatched(message, env, 'no contact thread');
+  }
+
+  if (!env.DB) {
+    return forwardUnmatched(message, env, 'database not available');
+  }
+
+  if (message.rawSize > MAX_PARSE_SIZE) {
+    return forwardUnmatched(message, env, `message too large (${message.rawSize} bytes)`);
+  }
+
+  try {
+    const parsed = parseMimeMessage(await new Response(message.raw).arrayBuffer());
+    const filed = await addContactThreadMessage(env.DB, submissionId, {
+      fromEmail: parsed.from.email || String(message.from).toLowerCase(),
+      fromName: parsed.from.name,
+      subject: parsed.subject,
+      body: getMessageBody(parsed),
+      messageId: parsed.messageId,
+      inReplyTo: parsed.inReplyTo
+    });
+
+    if (!filed) {
+      return forwardUnmatched(message, env, `contact submission ${submissionId} not found`);
+    }
+
+    console.log(filed.duplicate
+      ? `Duplicate email for contact submission ${submissionId} ignored`
+      : `Filed ${filed.author} reply into contact submission ${submissionId}`);
+
+  } catch (error) {
+    console.error('Inbound email filing error:', error);
+    return forwardUnmatched(message, env, 'filing failed');
+  }
+}
+
+async function forwardUnmatched(message, env, reason) {
+  if (!env.EMAIL_FORWARD_TO) {
+    console.warn(`Inbound email to ${message.to} rejected (${reason}): EMAIL_FORWARD_TO not set`);
+    message.setReject('Address not accepting mail');
+    return;
+  }
+
+  console.log(`Forwarding inbound email to ${message.to} (${reason})`);
+  await message.forward(env.EMAIL_FORWARD_TO);
+}
+
+// The new text of a reply, with quoted history removed and attachments listed by name
+function getMessageBody(parsed) {
+  const text = extractReplyText(parsed.text || htmlToText(parsed.html));
+  const attachments = parsed.attachments.map(attachment => attachment.filename || attachment.contentType);
+
+  return [
+    text || '(no text content)',
+    ...(attachments.length > 0 ? ['', `[Attachments not stored: ${attachments.join(', ')}]`] : [])
+  ].join('\n');
+}
+
+/**
+ * Cut the quoted conversation most clients append below a reply:
+ * "On <date>, <name> wrote:" (sometimes wrapped over two lines),
+ * Outlook's "-----Original Message-----", and trailing "> " lines
+ */
+function extractReplyText(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const quoteStart = lines.findIndex((line, index) =>
+    /^On\b.*wrote:\s*$/.test(line) ||
+    (/^On\b/.test(line) && /wrote:\s*$/.test(lines[index + 1] || '')) ||
+    /^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim())
+  );
+
+  const reply = quoteStart === -1 ? lines : lines.slice(0, quoteStart);
+
+  while (reply.length > 0 && (/^>/.test(reply[reply.length - 1]) || !reply[reply.length - 1].trim())) {
+    reply.pop();
+  }
+
+  return reply.join('\n').trim() || text.trim();
+}
+
+function htmlToText(html) {
+  return (html || '')
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
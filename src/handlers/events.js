@@ -0,0 +1,159 @@
+/**
+ * First-party event ingestion
+ * POST /api/analytics/event receives the beacons sent by trackEvent() in getCustomJS.
+ * POST /api/analytics/vitals receives the Core Web Vitals the same script measures.
+ * Payloads are size-limited, event names are allowlisted and each event keeps only
+ * the properties it is known to send, so the endpoint cannot be used to store arbitrary data.
+ */
+
+import { trackEvent, trackPerformance, createSessionId, getDeviceClass } from '../utils/tracking.js';
+import { classifyRequest } from '../utils/bots.js';
+import { jsonResponse } from '../utils/response.js';
+
+// sendBeacon payloads are small; anything larger is not from our tracker
+const MAX_PAYLOAD_BYTES = 4096;
+
+const MAX_PATH_LENGTH = 200;
+
+// Metric → largest plausible value; CLS is unitless, the others are milliseconds
+const VITAL_LIMITS = {
+  LCP: 120000,
+  CLS: 100,
+  INP: 60000,
+  TTFB: 120000
+};
+
+// Event name → cleaner for its properties (returns null when they are invalid)
+const EVENT_PROPERTIES = {
+  page_view: () => ({}),
+  scroll_depth: ({ depth }) => ['75%', '90%'].includes(depth) ? { depth } : null,
+  external_link_click: ({ url, text }) => {
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || url.length > 500) {
+      return null;
+    }
+    return { url, text: typeof text === 'string' ? text.trim().substring(0, 50) : '' };
+  }
+};
+
+export async function handleEventIngestion(request, env) {
+  const { payload, response } = await readBeacon(request);
+  if (response) {
+    return response;
+  }
+
+  const event = validateEvent(payload);
+  if (!event) {
+    return jsonResponse({ error: 'Invalid event' }, 400);
+  }
+
+  // Headless browsers run the tracker too; their beacons are accepted but not stored
+  if (!env.DB || classifyRequest(request).isBot) {
+    return new Response(null, { status: 204 });
+  }
+
+  const sessionId = await createSessionId(env.DB, request);
+  await trackEvent(env.DB, event.name, event.properties, sessionId);
+
+  return new Response(null, { status: 204 });
+}
+
+export async function handleVitalsIngestion(request, env) {
+  const { payload, response } = await readBeacon(request);
+  if (response) {
+    return response;
+  }
+
+  const vitals = validateVitals(payload);
+  if (!vitals) {
+    return jsonResponse({ error: 'Invalid metrics' }, 400);
+  }
+
+  if (!env.DB || classifyRequest(request).isBot) {
+    return new Response(null, { status: 204 });
+  }
+
+  await trackPerformance(env.DB, vitals.path, vitals.metrics, {
+    device: getDeviceClass(request.headers.get('User-Agent')),
+    sessionId: await createSessionId(env.DB, request)
+  });
+
+  return new Response(null, { status: 204 });
+}
+
+// Returns { payload } or { response } with the error to send back
+async function readBeacon(request) {
+  if (request.method !== 'POST') {
+    return { response: jsonResponse({ error: 'Method not allowed' }, 405) };
+  }
+
+  const declaredLength = Number(request.headers.get('Content-Length'));
+  if (declaredLength > MAX_PAYLOAD_BYTES) {
+    return { response: jsonResponse({ error: 'Payload too large' }, 413) };
+  }
+
+  // sendBeacon posts strings as text/plain, so the body is parsed regardless of Content-Type
+  const body = await request.text();
+  if (new TextEncoder().encode(body).length > MAX_PAYLOAD_BYTES) {
+    return { response: jsonResponse({ error: 'Payload too large' }, 413) };
+  }
+
+  try {
+    return { payload: JSON.parse(body) };
+  } catch (error) {
+    return { response: jsonResponse({ error: 'Invalid JSON' }, 400) };
+  }
+}
+
+function validateEvent(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return null;
+  }
+
+  const { event, properties = {}, path } = payload;
+  const clean = Object.prototype.hasOwnProperty.call(EVENT_PROPERTIES, event) ? EVENT_PROPERTIES[event] : null;
+
+  if (!clean || typeof properties !== 'object' || properties === null) {
+    return null;
+  }
+
+  if (!isValidPath(path)) {
+    return null;
+  }
+
+  const cleaned = clean(properties);
+  return cleaned ? { name: event, properties: { path, ...cleaned } } : null;
+}
+
+// { path, metrics: { LCP, CLS, INP, TTFB } } with at least one known metric and nothing else
+function validateVitals(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return null;
+  }
+
+  const { path, metrics } = payload;
+
+  if (!isValidPath(path) || !metrics || typeof metrics !== 'object' || Array.isArray(metrics)) {
+    return null;
+  }
+
+  const names = Object.keys(metrics);
+  if (names.length === 0) {
+    return null;
+  }
+
+  const cleaned = {};
+  for (const name of names) {
+    const value = metrics[name];
+    if (!Object.prototype.hasOwnProperty.call(VITAL_LIMITS, name) ||
+        typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > VITAL_LIMITS[name]) {
+      return null;
+    }
+    cleaned[name] = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+  }
+
+  return { path, metrics: cleaned };
+}
+
+function isValidPath(path) {
+  return typeof path === 'string' && path.startsWith('/') && path.length <= MAX_PATH_LENGTH;
+}
@@ -0,0 +1,502 @@
+/**
+ * Newsletter subscription handlers
+ * Double opt-in: signing up stores an unconfirmed subscriber and emails a signed
+ * confirmation link; /newsletter/confirm?token= marks the subscriber as confirmed.
+ * Unsubscribe and preference pages use a second, non-expiring signed token.
+ */
+
+import { createCustomResponse, escapeHtml } from '../utils/response.js';
+import { signToken, verifyToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mail.js';
+import { checkSubmission, createBlockedResponse } from '../utils/protection.js';
+import { getSubscriber, unsubscribeFromNewsletter, updateNewsletterPreferences, isValidEmail } from '../utils/database.js';
+import { createSessionId, trackConversion } from '../utils/tracking.js';
+
+// Confirmation links stop working, and unconfirmed rows are deleted, after this long
+export const CONFIRMATION_TTL_HOURS = 72;
+
+// Another confirmation email goes to the same address at most this often, so the form
+// cannot be used to flood someone else's inbox
+const CONFIRMATION_RESEND_MINUTES = 60;
+
+// Forms that can produce a signup; anything else is recorded as 'api'
+const NEWSLETTER_SOURCES = ['main', 'footer', 'api'];
+
+const CONFIRM_PURPOSE = 'newsletter-confirm';
+const MANAGE_PURPOSE = 'newsletter-manage';
+
+export async function handleNewsletterSubscription(request, env) {
+  try {
+    const contentType = request.headers.get('Content-Type') || '';
+
+    let data;
+    try {
+      data = contentType.includes('application/json')
+        ? await request.json()
+        : Object.fromEntries(await request.formData());
+    } catch (error) {
+      data = null;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return new Response(JSON.stringify({ error: 'Invalid request body' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+    let name = typeof data.name === 'string' ? data.name : '';
+    let source = data.source;
+
+    const protection = await checkSubmission(request, env, data, 'newsletter');
+    if (!protection.allowed) {
+      return protection.silent ? createSubscribedResponse() : createBlockedResponse(protection);
+    }
+
+    // Validate email
+    if (!isValidEmail(email)) {
+      return new Response(JSON.stringify({ error: 'Valid email required' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Sanitize inputs
+    name = name.trim().substring(0, 100);
+    source = NEWSLETTER_SOURCES.includes(source) ? source : 'api';
+
+    // Confirmation needs both a stored row and a signing secret
+    if (!env.DB || !env.NEWSLETTER_SECRET) {
+      console.error('Newsletter signup unavailable: DB binding or NEWSLETTER_SECRET missing');
+      return new Response(JSON.stringify({ error: 'Newsletter signup is temporarily unavailable. Please try again later.' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const now = new Date().toISOString();
+    const resendAfter = new Date(Date.now() - CONFIRMATION_RESEND_MINUTES * 60 * 1000).toISOString();
+
+    // Confirmed, active subscribers are left untouched; everyone else starts a new confirmation,
+    // unless one was sent to the address within the last CONFIRMATION_RESEND_MINUTES
+    const result = await env.DB.prepare(`
+      INSERT INTO newsletter_subscribers (email, name, source, subscribed_at, confirmation_sent_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(email) DO UPDATE SET
+        name = COALESCE(NULLIF(excluded.name, ''), newsletter_subscribers.name),
+        source = excluded.source,
+        subscribed_at = excluded.subscribed_at,
+        confirmation_sent_at = excluded.confirmation_sent_at,
+        confirmed = FALSE,
+        confirmed_at = NULL,
+        unsubscribed = FALSE
+      WHERE (newsletter_subscribers.confirmed = FALSE OR newsletter_subscribers.unsubscribed = TRUE)
+        AND (newsletter_subscribers.confirmation_sent_at IS NULL OR newsletter_subscribers.confirmation_sent_at < ?)
+    `).bind(email, name, source, now, now, resendAfter).run();
+
+    if (result.meta.changes > 0) {
+      const sent = await sendConfirmationEmail(email, name, env);
+
+      if (!sent.success) {
+        // Nothing was sent, so let the visitor retry without waiting out the resend limit
+        await env.DB.prepare(
+          'UPDATE newsletter_subscribers SET confirmation_sent_at = ? WHERE email = ? AND confirmation_sent_at = ?'
+        ).bind(resendAfter, email, now).run();
+
+        return new Response(JSON.stringify({ error: 'We could not send your confirmation email. Please try again.' }), {
+          status: 502,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      // Credited to the campaigns that brought this visitor's session
+      await trackConversion(env.DB, 'newsletter_signup', await createSessionId(env.DB, request));
+    }
+
+    // Same answer for existing subscribers, so the form cannot be used to look up addresses
+    return createSubscribedResponse();
+
+  } catch (error) {
+    console.error('Newsletter subscription error:', error);
+    return new Response(JSON.stringify({ error: 'Subscription failed. Please try again.' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+function createSubscribedResponse() {
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Almost there! Check your email and click the link to confirm your subscription.'
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+export async function handleNewsletterConfirmation(request, env) {
+  const url = new URL(request.url);
+  const payload = await verifyToken(url.searchParams.get('token'), env.NEWSLETTER_SECRET, CONFIRM_PURPOSE);
+
+  if (!payload || !env.DB) {
+    return createNewsletterPage(url.pathname, env, {
+      status: 400,
+      title: 'Confirmation Link Expired',
+      heading: 'This link is invalid or has expired',
+      message: `Confirmation links are valid for ${CONFIRMATION_TTL_HOURS / 24} days. Please subscribe again to receive a new one.`
+    });
+  }
+
+  try {
+    const result = await env.DB.prepare(`
+      UPDATE newsletter_subscribers
+      SET confirmed = TRUE, confirmed_at = COALESCE(confirmed_at, ?)
+      WHERE email = ? AND unsubscribed = FALSE
+    `).bind(new Date().toISOString(), payload.email).run();
+
+    if (result.meta.changes === 0) {
+      return createNewsletterPage(url.pathname, env, {
+        status: 404,
+        title: 'Subscription Not Found',
+        heading: 'We could not find this subscription',
+        message: 'It may have expired before it was confirmed. Please subscribe again below.'
+      });
+    }
+
+    console.log(`Newsletter subscription confirmed: ${payload.email}`);
+
+    return createNewsletterPage(url.pathname, env, {
+      title: 'Subscription Confirmed',
+      heading: '✅ You\'re subscribed!',
+      message: 'Thank you for confirming. Expert wellness tips, fitness guidance, and nutrition advice are on their way to your inbox.',
+      actions: `
+        <a href="/" class="btn btn-primary">Back to GoEvergreen</a>
+        <a href="${escapeHtml(await getManageUrl('preferences', payload.email, env))}" class="btn btn-secondary">Manage Preferences</a>
+      `
+    });
+
+  } catch (error) {
+    console.error('Newsletter confirmation error:', error);
+    return createNewsletterPage(url.pathname, env, {
+      status: 500,
+      title: 'Confirmation Failed',
+      heading: 'Something went wrong',
+      message: 'We could not confirm your subscription right now. Please try the link again in a few minutes.'
+    });
+  }
+}
+
+/**
+ * Headers for every newsletter email. List-Unsubscribe-Post lets mail clients
+ * unsubscribe with a single POST (RFC 8058).
+ */
+export async function getUnsubscribeHeaders(email, env) {
+  return {
+    'List-Unsubscribe': `<${await getManageUrl('unsubscribe', email, env)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+// Manage links do not expire: they go out with every newsletter and must keep working
+export async function getManageUrl(page, email, env) {
+  const token = await signToken({ purpose: MANAGE_PURPOSE, email }, env.NEWSLETTER_SECRET);
+  return `https://${env.DOMAIN}/newsletter/${page}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * GET shows a confirmation page; POST unsubscribes. Mail clients POST
+ * "List-Unsubscribe=One-Click" to the same URL, so POST needs nothing else.
+ */
+export async function handleNewsletterUnsubscribe(request, env) {
+  const url = new URL(request.url);
+  const email = await getManagedEmail(url, env);
+
+  if (!email) {
+    return createInvalidLinkPage(url.pathname, env);
+  }
+
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    return createNewsletterPage(url.pathname, env, {
+      title: 'Unsubscribe',
+      heading: 'Unsubscribe from our newsletter?',
+      message: `${email} will no longer receive GoEvergreen wellness emails.`,
+      actions: `
+        <form method="post" action="${escapeHtml(url.pathname + url.search)}" class="newsletter-form">
+          <button type="submit">Unsubscribe</button>
+        </form>
+        <a href="${escapeHtml(await getManageUrl('preferences', email, env))}" class="btn btn-secondary">Manage Preferences Instead</a>
+      `
+    });
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: { 'Allow': 'GET, POST' } });
+  }
+
+  const result = await unsubscribeFromNewsletter(env.DB, email);
+
+  if (!result.success) {
+    return createNewsletterPage(url.pathname, env, {
+      status: 500,
+      title: 'Unsubscribe Failed',
+      heading: 'Something went wrong',
+      message: 'We could not unsubscribe you right now. Please try again in a few minutes.'
+    });
+  }
+
+  console.log(`Newsletter unsubscribe: ${email}`);
+
+  return createNewsletterPage(url.pathname, env, {
+    title: 'Unsubscribed',
+    heading: 'You have been unsubscribed',
+    message: `${email} will no longer receive our newsletter. Changed your mind? You can resubscribe at any time.`,
+    actions: `
+      <a href="/" class="btn btn-primary">Back to GoEvergreen</a>
+      <a href="${escapeHtml(await getManageUrl('preferences', email, env))}" class="btn btn-secondary">Resubscribe</a>
+    `
+  });
+}
+
+/**
+ * Preferences page: change the name used in emails, resubscribe or unsubscribe.
+ * Forms POST back here with action=update|resubscribe|unsubscribe.
+ */
+export async function handleNewsletterPreferences(request, env) {
+  const url = new URL(request.url);
+  const email = await getManagedEmail(url, env);
+
+  if (!email) {
+    return createInvalidLinkPage(url.pathname, env);
+  }
+
+  let notice = '';
+
+  if (request.method === 'POST') {
+    let formData;
+    try {
+      formData = await request.formData();
+    } catch (error) {
+      return createNewsletterPage(url.pathname, env, {
+        status: 400,
+        title: 'Preferences Not Saved',
+        heading: 'We could not read your changes',
+        message: 'Please go back to your preferences and submit the form again.',
+        actions: `<a href="${escapeHtml(url.pathname + url.search)}" class="btn btn-primary">Back to Preferences</a>`
+      });
+    }
+
+    const action = formData.get('action');
+    let result;
+
+    if (action === 'unsubscribe') {
+      result = await unsubscribeFromNewsletter(env.DB, email);
+      notice = 'You have been unsubscribed.';
+    } else if (action === 'resubscribe') {
+      result = await updateNewsletterPreferences(env.DB, email, { resubscribe: true });
+      notice = 'Welcome back! You are subscribed again.';
+    } else {
+      result = await updateNewsletterPreferences(env.DB, email, { name: typeof formData.get('name') === 'string' ? formData.get('name') : '' });
+      notice = 'Your preferences have been saved.';
+    }
+
+    if (!result.success) {
+      notice = 'We could not save your changes. Please try again.';
+    }
+  } else if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405, headers: { 'Allow': 'GET, POST' } });
+  }
+
+  const subscriber = await getSubscriber(env.DB, email);
+
+  if (!subscriber) {
+    return createNewsletterPage(url.pathname, env, {
+      status: 404,
+      title: 'Subscription Not Found',
+      heading: 'We could not find this subscription',
+      message: 'This address is no longer on our list. You can subscribe again below.'
+    });
+  }
+
+  const formAction = escapeHtml(url.pathname + url.search);
+  const active = !subscriber.unsubscribed;
+
+  return createNewsletterPage(url.pathname, env, {
+    title: 'Newsletter Preferences',
+    heading: 'Newsletter Preferences',
+    message: notice || `${email} is ${active ? 'subscribed to' : 'unsubscribed from'} the GoEvergreen newsletter.`,
+    actions: `
+      <form method="post" action="${formAction}" class="newsletter-form">
+        <input type="hidden" name="action" value="update">
+        <input type="text" name="name" value="${escapeHtml(subscriber.name || '')}" placeholder="Your name" maxlength="100" aria-label="Your name">
+        <button type="submit">Save Name</button>
+      </form>
+      <form method="post" action="${formAction}" class="newsletter-form">
+        <input type="hidden" name="action" value="${active ? 'unsubscribe' : 'resubscribe'}">
+        <button type="submit">${active ? 'Unsubscribe' : 'Resubscribe'}</button>
+      </form>
+    `
+  });
+}
+
+/**
+ * Delete subscribers who never confirmed. Rows from before double opt-in have
+ * no confirmation_sent_at and are kept.
+ */
+export async function expireUnconfirmedSubscribers(db) {
+  const cutoff = new Date(Date.now() - CONFIRMATION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  const result = await db.prepare(
+    'DELETE FROM newsletter_subscribers WHERE confirmed = FALSE AND confirmation_sent_at IS NOT NULL AND confirmation_sent_at < ?'
+  ).bind(cutoff).run();
+
+  return result.meta.changes;
+}
+
+/**
+ * /api/newsletter/subscribers   GET ?status=active|pending|unsubscribed|all&format=json|csv
+ * Export for mailing tools and backups; defaults to confirmed, subscribed readers
+ */
+export async function handleSubscribersExport(request, env) {
+  if (request.method !== 'GET') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (!env.DB) {
+    return new Response(JSON.stringify({ error: 'Database not available' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const status = params.get('status') || 'active';
+  const filters = {
+    active: 'WHERE confirmed = TRUE AND unsubscribed = FALSE',
+    pending: 'WHERE confirmed = FALSE AND unsubscribed = FALSE',
+    unsubscribed: 'WHERE unsubscribed = TRUE',
+    all: ''
+  };
+
+  if (!(status in filters)) {
+    return new Response(JSON.stringify({ error: `status must be one of: ${Object.keys(filters).join(', ')}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT email, name, source, subscribed_at, confirmed_at, confirmed, unsubscribed
+    FROM newsletter_subscribers
+    ${filters[status]}
+    ORDER BY id
+  `).all();
+
+  const subscribers = (results || []).map(row => ({
+    email: row.email,
+    name: row.name || '',
+    source: row.source || '',
+    subscribed_at: row.subscribed_at,
+    confirmed_at: row.confirmed_at || '',
+    status: row.unsubscribed ? 'unsubscribed' : row.confirmed ? 'active' : 'pending'
+  }));
+
+  if (params.get('format') === 'csv') {
+    const columns = ['email', 'name', 'source', 'subscribed_at', 'confirmed_at', 'status'];
+    const csv = [columns, ...subscribers.map(subscriber => columns.map(column => subscriber[column]))]
+      .map(row => row.map(toCsvField).join(','))
+      .join('\r\n');
+
+    return new Response(csv, {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="subscribers-${status}.csv"`,
+        'Cache-Control': 'private, no-store'
+      }
+    });
+  }
+
+  return new Response(JSON.stringify({ count: subscribers.length, subscribers }), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'private, no-store' }
+  });
+}
+
+// Quote fields that need it; a leading = + - @ is escaped so spreadsheets do not run it as a formula
+function toCsvField(value) {
+  let field = String(value ?? '');
+  if (/^[=+\-@]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+async function sendConfirmationEmail(email, name, env) {
+  const token = await signToken({
+    purpose: CONFIRM_PURPOSE,
+    email,
+    exp: Date.now() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000
+  }, env.NEWSLETTER_SECRET);
+
+  const confirmUrl = `https://${env.DOMAIN}/newsletter/confirm?token=${encodeURIComponent(token)}`;
+  const greeting = name ? `Hi ${name},` : 'Hi there,';
+
+  return sendMail(env, {
+    to: email,
+    subject: 'Please confirm your GoEvergreen newsletter subscription',
+    text: `${greeting}
+
+Please confirm your subscription to the GoEvergreen wellness newsletter by opening this link:
+
+${confirmUrl}
+
+The link is valid for ${CONFIRMATION_TTL_HOURS / 24} days. If you did not sign up, you can ignore this email.
+
+GoEvergreen`,
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>Please confirm your subscription to the GoEvergreen wellness newsletter.</p>
+<p><a href="${escapeHtml(confirmUrl)}" style="background:#7a9b8e;color:#ffffff;padding:12px 24px;border-radius:25px;text-decoration:none;display:inline-block;">Confirm my subscription</a></p>
+<p>The link is valid for ${CONFIRMATION_TTL_HOURS / 24} days. If you did not sign up, you can ignore this email.</p>
+<p>GoEvergreen</p>`
+  });
+}
+
+async function getManagedEmail(url, env) {
+  const payload = await verifyToken(url.searchParams.get('token'), env.NEWSLETTER_SECRET, MANAGE_PURPOSE);
+  return payload && env.DB ? payload.email : null;
+}
+
+function createInvalidLinkPage(pathname, env) {
+  return createNewsletterPage(pathname, env, {
+    status: 400,
+    title: 'Invalid Link',
+    heading: 'This link is not valid',
+    message: `Please use the link from one of our emails, or contact ${env.CONTACT_EMAIL || 'info@goevergreen.shop'} and we will update your subscription for you.`
+  });
+}
+
+function createNewsletterPage(pathname, env, { status = 200, title, heading, message, actions }) {
+  const response = createCustomResponse({
+    status,
+    noindex: true,
+    title: `${title} - GoEvergreen`,
+    description: 'GoEvergreen wellness newsletter',
+    content: `
+      <div class="hero-section">
+        <h1>${escapeHtml(heading)}</h1>
+        <p>${escapeHtml(message)}</p>
+        <div class="cta-buttons">
+          ${actions || `
+          <a href="/" class="btn btn-primary">Back to GoEvergreen</a>
+          <a href="/blog" class="btn btn-secondary">Read the Blog</a>`}
+        </div>
+      </div>
+    `
+  }, pathname, env);
+
+  // These pages show the subscriber's address and signed links
+  response.headers.set('Cache-Control', 'private, no-store');
+  return response;
+}
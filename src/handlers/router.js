@@ -1,6 +1,26 @@
-import { createCustomResponse, createAdminResponse } from '../utils/response.js';
-import { getPageContent, isAdminPath } from '../utils/wordpress.js';
-import { trackPageView } from '../utils/analytics.js';
+import { createCustomResponse } from '../utils/response.js';
+import { getNotFoundContent, getBlogRoute, isAdminPath } from '../utils/wordpress.js';
+import { proxyAdminRequest } from '../utils/proxy.js';
+import { getAnalyticsSummary, getWebVitalsReport } from '../utils/analytics.js';
+import { trackPageView } from '../utils/tracking.js';
+import { getCachedPageContent, purgeCachedPages, getCachedRoutes } from '../utils/cache.js';
+import { authorizeRequest } from '../utils/auth.js';
+import { issueFormToken } from '../utils/protection.js';
+import { isSitemapPath, renderSitemap, regenerateSitemaps, submitToIndexNow, isIndexNowKey } from '../utils/sitemap.js';
+import { getFeedFormat, createFeedResponse } from '../utils/feeds.js';
+import {
+  handleNewsletterSubscription,
+  handleNewsletterConfirmation,
+  handleNewsletterUnsubscribe,
+  handleNewsletterPreferences,
+  handleSubscribersExport
+} from './newsletter.js';
+import { handleCampaignsAPI } from './campaigns.js';
+import { handleApiKeysAPI } from './api-keys.js';
+import { handleEventIngestion, handleVitalsIngestion } from './events.js';
+import { handleAnalyticsDashboard } from './admin-analytics.js';
+import { handleContactSubmission, handleContactInboxAPI } from './contact.js';
+import { generateContactForm } from '../components/contact-form.js';
 
 const ROUTES = {
   '/': 'home',
@@ -12,10 +32,12 @@ const ROUTES = {
   '/about': 'about',
   '/blog': 'blog',
   '/reviews': 'reveiws', // Note: WordPress URL has typo
-  '/newsletter/subscribe': 'newsletter-subscribe',
-  '/sitemap.xml': 'sitemap'
+  '/newsletter/subscribe': 'newsletter-subscribe'
 };
 
+// Slug paths forwarded to WordPress, e.g. /2024/05/my-post/, /category/nutrition/, /tag/yoga/
+const WORDPRESS_PATH_PATTERN = /^\/[a-z0-9][a-z0-9\-_%]*(\/[a-z0-9][a-z0-9\-_%]*)*\/?$/i;
+
 export async function handleRequest(request, env, ctx) {
   const url = new URL(request.url);
   const pathname = url.pathname;
@@ -34,9 +56,14 @@ if (
 }
 // === END FAVICON HANDLING ===
   try {
+    // Analytics dashboard (not a WordPress admin path, and never tracked)
+    if (pathname === '/admin/analytics' || pathname === '/admin/analytics/') {
+      return await handleAnalyticsDashboard(request, env);
+    }
+    
     // Handle WordPress admin panel routes - proxy directly without custom header/footer
     if (isAdminPath(pathname)) {
-      return await handleAdminRequest(request, env, pathname);
+      return await handleAdminRequest(request, env);
     }
     
     // Handle static assets
@@ -54,20 +81,56 @@ if (
       return await handleNewsletterSubscription(request, env);
     }
     
-    // Handle main page routing
-    const route = ROUTES[pathname] || 'home';
+    if (pathname === '/newsletter/confirm') {
+      return await handleNewsletterConfirmation(request, env);
+    }
+    
+    if (pathname === '/newsletter/unsubscribe') {
+      return await handleNewsletterUnsubscribe(request, env);
+    }
+    
+    if (pathname === '/newsletter/preferences') {
+      return await handleNewsletterPreferences(request, env);
+    }
+    
+    // IndexNow key file, which proves the submissions in refreshSitemaps come from this host
+    if (isIndexNowKey(env.INDEXNOW_KEY) && pathname === `/${env.INDEXNOW_KEY}.txt`) {
+      return new Response(env.INDEXNOW_KEY, {
+        headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'public, max-age=86400' }
+      });
+    }
     
     // Track page view (non-blocking) - not for admin pages
     ctx.waitUntil(trackPageView(env.DB, pathname, request));
     
     // Handle special routes
-    if (route === 'sitemap') {
-      return createSitemap(env);
+    if (isSitemapPath(pathname)) {
+      return await handleSitemapRequest(request, env, ctx, pathname);
+    }
+    
+    const feedFormat = getFeedFormat(pathname);
+    if (feedFormat) {
+      return await handleFeedRequest(request, env, ctx, feedFormat);
+    }
+    
+    // Handle main page routing
+    const route = resolveRoute(pathname, url.searchParams);
+    
+    if (!route) {
+      return createCustomResponse(getNotFoundContent(pathname), pathname, env);
     }
     
-    // Get WordPress content or serve custom pages
-    const content = await getPageContent(route, env, false);
-    return createCustomResponse(content, pathname, env);
+    // Get WordPress content from the edge cache, falling back to custom pages
+    const content = await getCachedPageContent(route, env, ctx);
+
+    // The form is added after the page cache so cached WordPress HTML never carries it
+    if (route === 'contact-us') {
+      content.content += generateContactForm(env);
+    }
+
+    const response = createCustomResponse(content, pathname, env);
+    response.headers.set('X-Page-Cache', content.cacheStatus);
+    return response;
     
   } catch (error) {
     console.error('Route handling error:', error);
@@ -75,19 +138,31 @@ if (
   }
 }
 
-async function handleAdminRequest(request, env, pathname) {
+// Known pages come from ROUTES; any other slug path is forwarded to WordPress as-is
+function resolveRoute(pathname, searchParams) {
+  const normalizedPath = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  
+  // Blog listing pages: /blog?page=N
+  if (normalizedPath === '/blog') {
+    const page = parseInt(searchParams.get('page') || '1', 10);
+    return getBlogRoute(Number.isFinite(page) && page > 0 ? page : 1);
+  }
+  
+  if (ROUTES[normalizedPath]) {
+    return ROUTES[normalizedPath];
+  }
+  
+  if (!WORDPRESS_PATH_PATTERN.test(pathname) || pathname.includes('..')) {
+    return null;
+  }
+  
+  return normalizedPath.slice(1);
+}
+
+async function handleAdminRequest(request, env) {
   try {
-    console.log('Handling admin request:', pathname);
-    
-    // Forward admin requests directly to WordPress with minimal processing
-    const content = await getPageContent(pathname, env, true);
-    
-    if (content.isAdmin) {
-      return createAdminResponse(content, pathname, env);
-    }
-    
-    // Fallback for non-admin response
-    return createCustomResponse(content, pathname, env);
+    // Full pass-through: every method, request body, cookies and redirects
+    return await proxyAdminRequest(request, env);
     
   } catch (error) {
     console.error('Admin request error:', error);
@@ -152,13 +227,56 @@ async function handleAPI(request, env, pathname) {
   const segments = pathname.split('/');
   
   try {
+    // Every management endpoint goes through the same scope check
+    const scope = getRequiredScope(segments, request.method);
+    let principal = null;
+    
+    if (scope) {
+      const auth = await authorizeRequest(request, env, scope, { allowWebhookSecret: scope === 'cache:purge' });
+      if (auth.response) {
+        return auth.response;
+      }
+      principal = auth.principal;
+    }
+    
     switch (segments[2]) {
       case 'newsletter':
+        if (segments[3] === 'subscribers') {
+          return await handleSubscribersExport(request, env);
+        }
         return await handleNewsletterAPI(request, env);
       case 'contact':
-        return await handleContactAPI(request, env);
+        if (segments[3] === 'submissions') {
+          return await handleContactInboxAPI(request, env, segments);
+        }
+        if (!segments[3]) {
+          return await handleContactSubmission(request, env);
+        }
+        return createErrorResponse('API endpoint not found', 404);
       case 'analytics':
+        if (segments[3] === 'event') {
+          return await handleEventIngestion(request, env);
+        }
+        if (segments[3] === 'vitals') {
+          return request.method === 'POST'
+            ? await handleVitalsIngestion(request, env)
+            : await handleVitalsReportAPI(request, env);
+        }
         return await handleAnalyticsAPI(request, env);
+      case 'campaigns':
+        return await handleCampaignsAPI(request, env, segments);
+      case 'form-token':
+        return await handleFormTokenAPI(request, env);
+      case 'cache':
+        if (segments[3] === 'purge') {
+          return await handleCachePurgeAPI(request, env);
+        }
+        return createErrorResponse('API endpoint not found', 404);
+      case 'auth':
+        if (segments[3] === 'keys') {
+          return await handleApiKeysAPI(request, env, segments, principal);
+        }
+        return createErrorResponse('API endpoint not found', 404);
       default:
         return createErrorResponse('API endpoint not found', 404);
     }
@@ -168,186 +286,264 @@ async function handleAPI(request, env, pathname) {
   }
 }
 
-async function handleNewsletterSubscription(request, env) {
+// Scope needed for each management endpoint; null for public endpoints
+function getRequiredScope(segments, method) {
+  const readOnly = method === 'GET' || method === 'HEAD';
+  
+  switch (segments[2]) {
+    case 'analytics':
+      // Beacons from the site's own tracker are public
+      if (segments[3] === 'event' || (segments[3] === 'vitals' && method === 'POST')) {
+        return null;
+      }
+      return 'analytics:read';
+    case 'campaigns':
+      return readOnly ? 'campaigns:read' : 'campaigns:write';
+    case 'contact':
+      if (segments[3] !== 'submissions') {
+        return null;
+      }
+      return readOnly ? 'contact:read' : 'contact:write';
+    case 'newsletter':
+      return segments[3] === 'subscribers' ? 'subscribers:export' : null;
+    case 'cache':
+      return 'cache:purge';
+    case 'auth':
+      return 'keys:manage';
+    default:
+      return null;
+  }
+}
+
+async function handleNewsletterAPI(request, env) {
+  if (request.method !== 'POST') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  return handleNewsletterSubscription(request, env);
+}
+
+async function handleAnalyticsAPI(request, env) {
   try {
-    const contentType = request.headers.get('Content-Type') || '';
-    
-    let email, name;
-    
-    if (contentType.includes('application/json')) {
-      const data = await request.json();
-      email = data.email;
-      name = data.name || '';
-    } else {
-      const formData = await request.formData();
-      email = formData.get('email');
-      name = formData.get('name') || '';
-    }
-    
-    // Validate email
-    if (!email || !email.includes('@') || email.length > 255) {
-      return new Response(JSON.stringify({ error: 'Valid email required' }), {
-        status: 400,
+    if (!env.DB) {
+      return new Response(JSON.stringify({ 
+        success: false, 
+        error: 'Analytics not available' 
+      }), {
         headers: { 'Content-Type': 'application/json' }
       });
     }
     
-    // Sanitize inputs
-    email = email.trim().toLowerCase();
-    name = name ? name.trim().substring(0, 100) : '';
-    
-    // Store in D1 database if available
-    if (env.DB) {
-      try {
-        await env.DB.prepare(
-          'INSERT OR REPLACE INTO newsletter_subscribers (email, name, subscribed_at) VALUES (?, ?, ?)'
-        ).bind(email, name, new Date().toISOString()).run();
-      } catch (dbError) {
-        console.error('Database error during newsletter subscription:', dbError);
-        // Continue without database
-      }
+    // Top pages for the last week (requires analytics:read); ?traffic=all includes bots
+    const humansOnly = new URL(request.url).searchParams.get('traffic') !== 'all';
+    const summary = await getAnalyticsSummary(env.DB, 7, { humansOnly });
+    
+    if (summary.error) {
+      return createErrorResponse('Analytics unavailable', 500);
     }
     
     return new Response(JSON.stringify({ 
       success: true, 
-      message: 'Successfully subscribed to our wellness newsletter!' 
+      data: summary.topPages 
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
     
   } catch (error) {
-    console.error('Newsletter subscription error:', error);
-    return new Response(JSON.stringify({ error: 'Subscription failed. Please try again.' }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    console.error('Analytics API error:', error);
+    return createErrorResponse('Analytics unavailable', 500);
   }
 }
 
-async function handleNewsletterAPI(request, env) {
-  if (request.method !== 'POST') {
+// Fill-time token for the public forms; per visitor, so it must never be cached
+async function handleFormTokenAPI(request, env) {
+  if (request.method !== 'GET') {
     return createErrorResponse('Method not allowed', 405);
   }
   
-  return handleNewsletterSubscription(request, env);
+  const token = await issueFormToken(env);
+  
+  return new Response(JSON.stringify({ success: true, token }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
 }
 
-async function handleContactAPI(request, env) {
+// Core Web Vitals percentiles for the last ?days= days (1-90, default 7)
+async function handleVitalsReportAPI(request, env) {
+  if (request.method !== 'GET') {
+    return createErrorResponse('Method not allowed', 405);
+  }
+  
+  if (!env.DB) {
+    return createErrorResponse('Analytics unavailable', 503);
+  }
+  
+  const days = parseInt(new URL(request.url).searchParams.get('days') || '7', 10);
+  const range = Number.isFinite(days) ? Math.min(Math.max(days, 1), 90) : 7;
+  
+  return new Response(JSON.stringify({
+    success: true,
+    days: range,
+    data: await getWebVitalsReport(env.DB, range)
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function handleCachePurgeAPI(request, env) {
   if (request.method !== 'POST') {
     return createErrorResponse('Method not allowed', 405);
   }
   
   try {
-    const { name, email, message } = await request.json();
+    const contentType = request.headers.get('Content-Type') || '';
+    let payload;
     
-    // Validate inputs
-    if (!name || !email || !message) {
-      return new Response(JSON.stringify({ error: 'All fields are required' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json' }
-      });
+    if (contentType.includes('application/json')) {
+      payload = await request.json();
+    } else {
+      // WordPress.com webhooks post form-encoded fields
+      payload = Object.fromEntries(await request.formData());
     }
     
-    if (!email.includes('@') || email.length > 255) {
-      return new Response(JSON.stringify({ error: 'Valid email required' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
+    let routes;
+    const all = payload.all === true || payload.paths === 'all';
     
-    // Sanitize inputs
-    const sanitizedName = name.trim().substring(0, 100);
-    const sanitizedEmail = email.trim().toLowerCase();
-    const sanitizedMessage = message.trim().substring(0, 1000);
-    
-    // Store contact form submission if database available
-    if (env.DB) {
-      try {
-        await env.DB.prepare(
-          'INSERT INTO contact_submissions (name, email, message, submitted_at) VALUES (?, ?, ?, ?)'
-        ).bind(sanitizedName, sanitizedEmail, sanitizedMessage, new Date().toISOString()).run();
-      } catch (dbError) {
-        console.error('Database error during contact form submission:', dbError);
-        // Continue without database
-      }
+    if (all) {
+      routes = [...Object.values(ROUTES), ...await getCachedRoutes(env)];
+    } else if (Array.isArray(payload.paths)) {
+      routes = payload.paths.map(path => getRouteForPath(String(path)));
+    } else if (payload.post_url || payload.permalink || payload.guid) {
+      routes = await getRoutesForPostUrl(payload.post_url || payload.permalink || payload.guid, env);
+    } else {
+      return createErrorResponse('Provide "paths" (array or "all") or a WordPress webhook payload', 400);
     }
     
-    return new Response(JSON.stringify({ 
+    const result = await purgeCachedPages(routes, env, { all });
+    
+    return new Response(JSON.stringify({
       success: true,
-      message: 'Thank you for contacting us! We\'ll get back to you soon.' 
+      purged: result.routes.map(getPathsForRoute).flat(),
+      routes: result.routes,
+      global: result.global
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
     
   } catch (error) {
-    console.error('Contact form error:', error);
-    return new Response(JSON.stringify({ error: 'Failed to submit. Please try again.' }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    console.error('Cache purge error:', error);
+    return createErrorResponse('Cache purge failed', 500);
   }
 }
 
-async function handleAnalyticsAPI(request, env) {
+// Map a worker path (or a raw WordPress slug path) to the route used as cache key;
+// the query string is read the same way resolveRoute does, so /blog?page=2 is blog/page/2
+function getRouteForPath(path) {
+  const [rawPath, query = ''] = path.trim().split('#')[0].split('?');
+  const pathname = '/' + rawPath.replace(/^\/+|\/+$/g, '');
+  
+  return resolveRoute(pathname, new URLSearchParams(query)) || (pathname === '/' ? 'home' : pathname.slice(1));
+}
+
+// A published post changes its own page plus the listings that show it
+async function getRoutesForPostUrl(postUrl, env) {
+  let pathname;
+  
   try {
-    if (!env.DB) {
-      return new Response(JSON.stringify({ 
-        success: false, 
-        error: 'Analytics not available' 
-      }), {
-        headers: { 'Content-Type': 'application/json' }
-      });
+    pathname = new URL(postUrl, env.WORDPRESS_BASE_URL).pathname;
+  } catch (error) {
+    pathname = postUrl;
+  }
+  
+  const blogPages = (await getCachedRoutes(env)).filter(route => route.startsWith('blog/page/'));
+  
+  return [getRouteForPath(pathname), 'home', 'blog', ...blogPages];
+}
+
+// Worker paths served from a route, including typo aliases like privay-policy
+function getPathsForRoute(route) {
+  const blogPage = route.match(/^blog\/page\/(\d+)$/);
+  if (blogPage) {
+    return [`/blog?page=${blogPage[1]}`];
+  }
+  
+  const paths = Object.keys(ROUTES).filter(path => ROUTES[path] === route);
+  return paths.length > 0 ? paths : [`/${route}`];
+}
+
+async function handleSitemapRequest(request, env, ctx, pathname) {
+  const cache = typeof caches !== 'undefined' ? caches.default : null;
+  const cacheKey = `https://${env.DOMAIN}${pathname}`;
+  
+  try {
+    // Cache API responses have immutable headers; copy so index.js can add its own
+    const cached = cache && await cache.match(cacheKey);
+    if (cached) {
+      return new Response(cached.body, cached);
     }
     
-    // Simple analytics endpoint (you might want to add authentication)
-    const stats = await env.DB.prepare(`
-      SELECT 
-        path,
-        COUNT(*) as views,
-        COUNT(DISTINCT session_id) as unique_views
-      FROM page_views 
-      WHERE timestamp > datetime('now', '-7 days')
-      GROUP BY path 
-      ORDER BY views DESC
-      LIMIT 10
-    `).all();
+    const xml = await renderSitemap(pathname, env, ROUTES);
     
-    return new Response(JSON.stringify({ 
-      success: true, 
-      data: stats.results || [] 
-    }), {
-      headers: { 'Content-Type': 'application/json' }
+    if (!xml) {
+      return createErrorResponse('Sitemap not found', 404);
+    }
+    
+    const response = new Response(xml, {
+      headers: {
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Cache-Control': 'public, max-age=3600'
+      }
     });
     
+    if (cache) {
+      ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    }
+    
+    return response;
+    
   } catch (error) {
-    console.error('Analytics API error:', error);
-    return createErrorResponse('Analytics unavailable', 500);
+    console.error('Sitemap error:', error);
+    return createErrorResponse('Sitemap unavailable', 500);
   }
 }
 
-function createSitemap(env) {
-  const baseUrl = `https://${env.DOMAIN}`;
-  const pages = Object.keys(ROUTES).filter(route => 
-    !route.includes('newsletter') && 
-    !route.includes('sitemap')
-  );
+async function handleFeedRequest(request, env, ctx, format) {
+  const cache = typeof caches !== 'undefined' ? caches.default : null;
+  const cacheKey = `https://${env.DOMAIN}/__feed/${format}`;
   
-  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${pages.map(page => `  <url>
-    <loc>${baseUrl}${page}</loc>
-    <lastmod>${new Date().toISOString().split('T')[0]}</lastmod>
-    <changefreq>${page === '/' ? 'daily' : 'weekly'}</changefreq>
-    <priority>${page === '/' ? '1.0' : '0.8'}</priority>
-  </url>`).join('\n')}
-</urlset>`;
-  
-  return new Response(sitemap, {
-    headers: {
-      'Content-Type': 'application/xml',
-      'Cache-Control': 'public, max-age=86400'
+  try {
+    const cached = cache && await cache.match(cacheKey);
+    // Copied like sitemaps: cached headers are immutable and index.js adds its own
+    let response = cached ? new Response(cached.body, cached) : null;
+    
+    if (!response) {
+      response = await createFeedResponse(format, env);
+      if (cache) {
+        ctx.waitUntil(cache.put(cacheKey, response.clone()));
+      }
     }
-  });
+    
+    // Feed readers poll often; answer conditional requests without a body
+    const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+    if (ifModifiedSince >= Date.parse(response.headers.get('Last-Modified'))) {
+      return new Response(null, { status: 304, headers: response.headers });
+    }
+    
+    return response;
+    
+  } catch (error) {
+    console.error('Feed error:', error);
+    return createErrorResponse('Feed unavailable', 503);
+  }
+}
+
+// Called by the scheduled handler: rebuild every sitemap, then submit what changed to IndexNow
+export async function refreshSitemaps(env, { fetcher } = {}) {
+  const { modified } = await regenerateSitemaps(env, ROUTES);
+  return submitToIndexNow(modified, env, { fetcher });
 }
 
 function createErrorResponse(message, status = 500) {
@@ -4,8 +4,16 @@
  * Version: 1.0.0
  */
 
-import { handleRequest } from './handlers/router.js';
+import { handleRequest, refreshSitemaps } from './handlers/router.js';
 import { initDatabase } from './utils/database.js';
+import { expireUnconfirmedSubscribers } from './handlers/newsletter.js';
+import { sendScheduledCampaigns } from './handlers/campaigns.js';
+import { retryQueuedEmails } from './utils/outbox.js';
+import { handleInboundEmail } from './handlers/email.js';
+import { rollupDailyAnalytics } from './utils/analytics.js';
+
+// Must match the campaign trigger in wrangler.toml
+const CAMPAIGN_CRON = '*/5 * * * *';
 
 // Worker main handler
 export default {
@@ -22,6 +30,7 @@ export default {
       env.CONTACT_EMAIL = env.CONTACT_EMAIL || 'info@goevergreen.shop';
       env.ENVIRONMENT = env.ENVIRONMENT || 'production';
       env.WORDPRESS_BASE_URL = env.WORDPRESS_BASE_URL || 'https://goevergreen9.wordpress.com';
+      env.WORDPRESS_CONTENT_SOURCE = env.WORDPRESS_CONTENT_SOURCE || 'rest'; // 'rest' or 'html'
       
       // Initialize database with error recovery
       if (env.DB) {
@@ -56,20 +65,86 @@ export default {
     try {
       console.log('Scheduled task triggered at:', controller.scheduledTime);
       
+      env.DOMAIN = env.DOMAIN || 'goevergreen.shop';
+      env.WORDPRESS_BASE_URL = env.WORDPRESS_BASE_URL || 'https://goevergreen9.wordpress.com';
+      env.ENVIRONMENT = env.ENVIRONMENT || 'production';
+      
+      // Newsletter campaigns go out in batches on every trigger
+      if (env.DB) {
+        try {
+          await sendScheduledCampaigns(env);
+        } catch (campaignError) {
+          console.error('Newsletter campaign sending failed:', campaignError.message);
+        }
+        
+        // Retry notifications that the send_email binding rejected earlier
+        try {
+          const outbox = await retryQueuedEmails(env);
+          if (outbox.attempted > 0) {
+            console.log(`Email outbox: ${outbox.sent} sent, ${outbox.failed} failed`);
+          }
+        } catch (outboxError) {
+          console.error('Email outbox retry failed:', outboxError.message);
+        }
+      }
+      
+      // The frequent trigger only sends; maintenance runs on the daily one
+      if (controller.cron === CAMPAIGN_CRON) {
+        return;
+      }
+      
       // Perform maintenance tasks
       if (env.DB) {
+        // Roll finished days into the daily analytics tables before raw rows are deleted
+        let rolledUp = false;
+        try {
+          await rollupDailyAnalytics(env.DB);
+          rolledUp = true;
+        } catch (rollupError) {
+          console.error('Analytics rollup failed:', rollupError.message);
+        }
+        
         try {
           // Clean up old analytics data (keep last 90 days)
           const cutoffDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
           
+          // Raw page views are kept until a rollup has succeeded
+          if (rolledUp) {
+            await env.DB.prepare(
+              'DELETE FROM page_views WHERE timestamp < ?'
+            ).bind(cutoffDate).run();
+          }
+          
           await env.DB.prepare(
-            'DELETE FROM page_views WHERE timestamp < ?'
+            'DELETE FROM user_sessions WHERE created_at < ?'
           ).bind(cutoffDate).run();
           
           await env.DB.prepare(
-            'DELETE FROM user_sessions WHERE created_at < ?'
+            'DELETE FROM performance_metrics WHERE timestamp < ?'
           ).bind(cutoffDate).run();
           
+          await env.DB.prepare(
+            "DELETE FROM email_outbox WHERE status = 'sent' AND sent_at < ?"
+          ).bind(cutoffDate).run();
+          
+          // Session salts are only needed on their own day (tracking.js also drops them on first use)
+          await env.DB.prepare(
+            'DELETE FROM analytics_salts WHERE date < ?'
+          ).bind(new Date().toISOString().substring(0, 10)).run();
+          
+          // Rate limit windows are at most minutes long
+          await env.DB.prepare(
+            'DELETE FROM rate_limits WHERE window_start < ?'
+          ).bind(Math.floor(Date.now() / 1000) - 24 * 60 * 60).run();
+          
+          await env.DB.prepare(
+            'DELETE FROM used_form_tokens WHERE expires_at < ?'
+          ).bind(Math.floor(Date.now() / 1000)).run();
+          
+          // Drop newsletter signups whose confirmation link has expired
+          const expired = await expireUnconfirmedSubscribers(env.DB);
+          console.log(`Expired ${expired} unconfirmed newsletter subscribers`);
+          
           console.log('Database cleanup completed');
           
         } catch (cleanupError) {
@@ -77,15 +152,30 @@ export default {
         }
       }
       
+      // Rebuild sitemaps from WordPress and submit changed URLs to IndexNow
+      try {
+        await refreshSitemaps(env);
+      } catch (sitemapError) {
+        console.error('Sitemap regeneration failed:', sitemapError.message);
+      }
+      
     } catch (error) {
       console.error('Scheduled task error:', error.message);
     }
   },
 
   async email(message, env, ctx) {
-    // Handle email forwarding if configured
-    console.log('Email handler triggered');
-    return new Response('Email forwarding not configured');
+    try {
+      env.DOMAIN = env.DOMAIN || 'goevergreen.shop';
+      
+      // Replies to contact threads are filed in D1; other mail is forwarded
+      await handleInboundEmail(message, env);
+      
+    } catch (error) {
+      // Bounce rather than accept mail that was neither filed nor forwarded
+      console.error('Email handler error:', error.message);
+      message.setReject('Message could not be processed');
+    }
   }
 };
 
@@ -0,0 +1,108 @@
+/**
+ * Cloudflare Access JWT verification
+ * Access signs its application tokens with RS256 keys published at
+ * https://<ACCESS_TEAM_DOMAIN>/cdn-cgi/access/certs. A token is accepted when the
+ * signature matches one of those keys, its audience includes ACCESS_AUD,
+ * the issuer is the team domain and it has not expired
+ */
+
+const encoder = new TextEncoder();
+
+// Certificates rotate rarely; an unknown key id triggers a refresh at most this often
+const CERTS_TTL_MS = 60 * 60 * 1000;
+const CERTS_REFRESH_MS = 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// Per-isolate cache of the team's signing keys
+const certsCache = new Map();
+
+/**
+ * Returns the token's claims when it is valid for this application, otherwise null
+ */
+export async function verifyAccessJwt(token, env) {
+  const teamDomain = normalizeTeamDomain(env.ACCESS_TEAM_DOMAIN);
+  const [encodedHeader, encodedPayload, encodedSignature] = String(token).split('.');
+
+  if (!teamDomain || !env.ACCESS_AUD || !encodedHeader || !encodedPayload || !encodedSignature) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(decodeText(encodedHeader));
+    const claims = JSON.parse(decodeText(encodedPayload));
+
+    if (header.alg !== 'RS256' || !header.kid) {
+      return null;
+    }
+
+    const jwk = await getSigningKey(teamDomain, header.kid);
+    if (!jwk) {
+      console.warn(`Cloudflare Access token signed with unknown key ${header.kid}`);
+      return null;
+    }
+
+    const key = await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      key,
+      base64UrlDecode(encodedSignature),
+      encoder.encode(`${encodedHeader}.${encodedPayload}`)
+    );
+
+    if (!valid) {
+      return null;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (!audiences.includes(env.ACCESS_AUD) ||
+        claims.iss !== `https://${teamDomain}` ||
+        !(claims.exp > now - CLOCK_SKEW_SECONDS) ||
+        (claims.nbf && claims.nbf > now + CLOCK_SKEW_SECONDS)) {
+      return null;
+    }
+
+    return claims;
+  } catch (error) {
+    console.error('Cloudflare Access token verification error:', error.message);
+    return null;
+  }
+}
+
+async function getSigningKey(teamDomain, kid) {
+  let entry = certsCache.get(teamDomain);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (!entry || age > CERTS_TTL_MS || (!entry.keys.some(key => key.kid === kid) && age > CERTS_REFRESH_MS)) {
+    const response = await fetch(`https://${teamDomain}/cdn-cgi/access/certs`);
+    if (!response.ok) {
+      throw new Error(`Access certs request failed with ${response.status}`);
+    }
+
+    const { keys } = await response.json();
+    entry = { keys: Array.isArray(keys) ? keys : [], fetchedAt: Date.now() };
+    certsCache.set(teamDomain, entry);
+  }
+
+  return entry.keys.find(key => key.kid === kid) || null;
+}
+
+// Accept "goevergreen", "goevergreen.cloudflareaccess.com" or a full URL
+function normalizeTeamDomain(value) {
+  if (!value) {
+    return null;
+  }
+
+  const host = String(value).trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  return host.includes('.') ? host : `${host}.cloudflareaccess.com`;
+}
+
+function decodeText(value) {
+  return new TextDecoder().decode(base64UrlDecode(value));
+}
+
+function base64UrlDecode(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
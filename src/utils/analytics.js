@@ -1,126 +1,96 @@
 /**
- * Privacy-friendly analytics utilities
- * Tracks user behavior without compromising privacy
+ * Privacy-friendly analytics reporting
+ * Reports and daily rollups over the data written by utils/tracking.js
  */
 
-export async function trackPageView(db, path, request) {
-  try {
-    // Extract basic information without personally identifiable data
-    const userAgent = request.headers.get('User-Agent') || '';
-    const country = request.cf?.country || 'Unknown';
-    const referrer = request.headers.get('Referer') || '';
-    const timestamp = new Date().toISOString();
-    
-    // Create a privacy-friendly session identifier
-    const sessionId = await createSessionId(request);
-    
-    // Store page view data
-    await db.prepare(
-      'INSERT INTO page_views (path, user_agent, country, referrer, timestamp, session_id) VALUES (?, ?, ?, ?, ?, ?)'
-    ).bind(path, userAgent, country, referrer, timestamp, sessionId).run();
-    
-    // Update session information
-    await updateSession(db, sessionId, country, userAgent);
-    
-    console.log('Page view tracked:', { path, country, timestamp });
-  } catch (error) {
-    console.error('Analytics tracking error:', error);
-    // Analytics errors should not break the main application flow
-  }
-}
-
-async function createSessionId(request) {
-  try {
-    // Create a session ID using non-personally identifiable information
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-    const userAgent = request.headers.get('User-Agent') || 'unknown';
-    const date = new Date().toDateString(); // Daily rotation for privacy
-    
-    // Hash the combination to create a consistent but anonymous session ID
-    const sessionString = `${ip}-${userAgent}-${date}`;
-    const sessionId = await hashString(sessionString);
-    
-    return sessionId.substring(0, 16); // Use first 16 characters
-  } catch (error) {
-    console.error('Session ID creation error:', error);
-    return 'anonymous-' + Date.now().toString(36);
-  }
-}
+// Referrer host of each page view in [?, ?): scheme, path, query, port and a leading www. removed
+const REFERRER_HOSTS_SQL = `
+  SELECT date, session_id, is_bot, CASE WHEN host LIKE 'www.%' THEN substr(host, 5) ELSE host END as host
+  FROM (
+    SELECT date, session_id, is_bot, substr(host, 1, instr(host || ':', ':') - 1) as host
+    FROM (
+      SELECT substr(timestamp, 1, 10) as date, session_id, is_bot,
+        lower(substr(rest, 1, min(instr(rest || '/', '/'), instr(rest || '?', '?')) - 1)) as host
+      FROM (
+        SELECT timestamp, session_id, is_bot, substr(referrer, instr(referrer, '://') + 3) as rest
+        FROM page_views
+        WHERE timestamp >= ? AND timestamp < ? AND referrer LIKE 'http%://%'
+      )
+    )
+  )`;
 
-async function updateSession(db, sessionId, country, userAgent) {
-  try {
-    // Check if session exists
-    const existingSession = await db.prepare(
-      'SELECT id, page_count FROM user_sessions WHERE id = ?'
-    ).bind(sessionId).first();
-    
-    if (existingSession) {
-      // Update existing session
-      await db.prepare(
-        'UPDATE user_sessions SET last_activity = ?, page_count = page_count + 1 WHERE id = ?'
-      ).bind(new Date().toISOString(), sessionId).run();
-    } else {
-      // Create new session
-      await db.prepare(
-        'INSERT INTO user_sessions (id, country, user_agent, page_count) VALUES (?, ?, ?, 1)'
-      ).bind(sessionId, country, userAgent).run();
-    }
-  } catch (error) {
-    console.error('Session update error:', error);
-  }
-}
-
-async function hashString(str) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(str);
-  const hash = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hash));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-}
+// Rollup columns counting only page views not classified as bots
+const HUMAN_COUNTS_SQL = 'SUM(CASE WHEN is_bot = 0 THEN 1 ELSE 0 END), COUNT(DISTINCT CASE WHEN is_bot = 0 THEN session_id END)';
+const ROLLUP_UPDATE_SQL = 'views = excluded.views, visitors = excluded.visitors, human_views = excluded.human_views, human_visitors = excluded.human_visitors';
 
 // Analytics reporting functions
-export async function getAnalyticsSummary(db, days = 7) {
+// range is a number of UTC days ending today, or { from, to } inclusive YYYY-MM-DD dates.
+// Page view reports read whole days from the daily rollups and only fall back to raw
+// page_views for days the scheduled rollup has not reached yet (normally just today).
+// Session ids rotate daily, so unique visitors over a range are the sum of each day's.
+// With humansOnly, page views classified as bots (utils/bots.js) are left out.
+export async function getAnalyticsSummary(db, range = 7, { humansOnly = false } = {}) {
+  const { period } = resolveRange(range);
+  const traffic = getTrafficColumns(humansOnly);
+  
   try {
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-    
-    const [pageViews, uniqueVisitors, topPages, topCountries] = await Promise.all([
-      // Total page views
-      db.prepare(
-        'SELECT COUNT(*) as total FROM page_views WHERE timestamp > ?'
-      ).bind(since).first(),
-      
-      // Unique visitors
-      db.prepare(
-        'SELECT COUNT(DISTINCT session_id) as unique FROM page_views WHERE timestamp > ?'
-      ).bind(since).first(),
+    const bindings = await getReportBindings(db, range);
+    const [totals, topPages, topCountries] = await Promise.all([
+      // Total page views and unique visitors
+      db.prepare(`
+        SELECT COALESCE(SUM(views), 0) as total, COALESCE(SUM(visitors), 0) as unique_visitors
+        FROM (
+          SELECT ${traffic.views} as views, ${traffic.visitors} as visitors
+          FROM analytics_daily_totals WHERE date >= ? AND date <= ?
+          UNION ALL
+          SELECT COUNT(*), COUNT(DISTINCT session_id) FROM page_views
+          WHERE timestamp >= ? AND timestamp < ? ${traffic.raw}
+          GROUP BY substr(timestamp, 1, 10)
+        )
+      `).bind(...bindings).first(),
       
       // Top pages
       db.prepare(`
-        SELECT path, COUNT(*) as views, COUNT(DISTINCT session_id) as unique_views
-        FROM page_views 
-        WHERE timestamp > ? 
+        SELECT path, SUM(views) as views, SUM(visitors) as unique_views
+        FROM (
+          SELECT path, ${traffic.views} as views, ${traffic.visitors} as visitors
+          FROM analytics_daily_pages WHERE date >= ? AND date <= ?
+          UNION ALL
+          SELECT path, COUNT(*), COUNT(DISTINCT session_id) FROM page_views
+          WHERE timestamp >= ? AND timestamp < ? ${traffic.raw}
+          GROUP BY substr(timestamp, 1, 10), path
+        )
         GROUP BY path 
+        HAVING SUM(views) > 0
         ORDER BY views DESC 
         LIMIT 10
-      `).bind(since).all(),
+      `).bind(...bindings).all(),
       
       // Top countries
       db.prepare(`
-        SELECT country, COUNT(*) as views, COUNT(DISTINCT session_id) as unique_visitors
-        FROM page_views 
-        WHERE timestamp > ? AND country != 'Unknown'
+        SELECT country, SUM(views) as views, SUM(visitors) as unique_visitors
+        FROM (
+          SELECT country, ${traffic.views} as views, ${traffic.visitors} as visitors
+          FROM analytics_daily_countries WHERE date >= ? AND date <= ?
+          UNION ALL
+          SELECT country, COUNT(*), COUNT(DISTINCT session_id) FROM page_views
+          WHERE timestamp >= ? AND timestamp < ? ${traffic.raw}
+          GROUP BY substr(timestamp, 1, 10), country
+        )
+        WHERE country != 'Unknown'
         GROUP BY country 
+        HAVING SUM(views) > 0
         ORDER BY views DESC 
         LIMIT 10
-      `).bind(since).all()
+      `).bind(...bindings).all()
     ]);
     
     return {
-      totalPageViews: pageViews?.total || 0,
-      uniqueVisitors: uniqueVisitors?.unique || 0,
+      totalPageViews: totals?.total || 0,
+      uniqueVisitors: totals?.unique_visitors || 0,
       topPages: topPages?.results || [],
       topCountries: topCountries?.results || [],
-      period: `${days} days`
+      period
     };
   } catch (error) {
     console.error('Analytics summary error:', error);
@@ -129,13 +99,156 @@ export async function getAnalyticsSummary(db, days = 7) {
       uniqueVisitors: 0,
       topPages: [],
       topCountries: [],
-      period: `${days} days`,
+      period,
       error: 'Failed to load analytics'
     };
   }
 }
 
-export async function getNewsletterStats(db) {
+// Views and unique visitors per day, oldest first
+export async function getDailyPageViews(db, range = 7, { humansOnly = false } = {}) {
+  const traffic = getTrafficColumns(humansOnly);
+  
+  try {
+    const bindings = await getReportBindings(db, range);
+    const { results } = await db.prepare(`
+      SELECT date, ${traffic.views} as views, ${traffic.visitors} as unique_visitors
+      FROM analytics_daily_totals
+      WHERE date >= ? AND date <= ?
+      UNION ALL
+      SELECT substr(timestamp, 1, 10) as date, COUNT(*), COUNT(DISTINCT session_id)
+      FROM page_views
+      WHERE timestamp >= ? AND timestamp < ? ${traffic.raw}
+      GROUP BY date
+      ORDER BY date
+    `).bind(...bindings).all();
+    
+    return results || [];
+  } catch (error) {
+    console.error('Daily page views error:', error);
+    return [];
+  }
+}
+
+// Referring sites by host; links within the site itself are left out
+export async function getTopReferrers(db, range = 7, { excludeHost = '', limit = 10, humansOnly = false } = {}) {
+  const traffic = getTrafficColumns(humansOnly);
+  
+  try {
+    const bindings = await getReportBindings(db, range);
+    const { results } = await db.prepare(`
+      SELECT host, SUM(views) as views
+      FROM (
+        SELECT host, ${traffic.views} as views FROM analytics_daily_referrers WHERE date >= ? AND date <= ?
+        UNION ALL
+        SELECT host, COUNT(*) FROM (${REFERRER_HOSTS_SQL}) WHERE 1 = 1 ${traffic.raw} GROUP BY host
+      )
+      WHERE host != '' AND host != ? AND host NOT LIKE ?
+      GROUP BY host
+      HAVING SUM(views) > 0
+      ORDER BY views DESC
+      LIMIT ?
+    `).bind(...bindings, excludeHost, `%.${excludeHost}`, limit).all();
+    
+    return results || [];
+  } catch (error) {
+    console.error('Top referrers error:', error);
+    return [];
+  }
+}
+
+// Sessions that viewed a page (client beacon) and went on to scroll 75% and 90%.
+// Beacons from bots are dropped when they arrive, so this is always human traffic
+export async function getScrollDepthFunnel(db, range = 7) {
+  const { since, until } = resolveRange(range);
+  
+  try {
+    const row = await db.prepare(`
+      SELECT
+        COUNT(DISTINCT CASE WHEN event_name = 'page_view' THEN session_id END) as viewed,
+        COUNT(DISTINCT CASE WHEN event_name = 'scroll_depth' AND json_extract(properties, '$.depth') = '75%' THEN session_id END) as scrolled_75,
+        COUNT(DISTINCT CASE WHEN event_name = 'scroll_depth' AND json_extract(properties, '$.depth') = '90%' THEN session_id END) as scrolled_90
+      FROM events
+      WHERE timestamp >= ? AND timestamp < ? AND event_name IN ('page_view', 'scroll_depth')
+    `).bind(since, until).first();
+    
+    return [
+      { step: 'Viewed a page', sessions: row?.viewed || 0 },
+      { step: 'Scrolled 75%', sessions: row?.scrolled_75 || 0 },
+      { step: 'Scrolled 90%', sessions: row?.scrolled_90 || 0 }
+    ];
+  } catch (error) {
+    console.error('Scroll depth funnel error:', error);
+    return [];
+  }
+}
+
+export const WEB_VITALS = ['LCP', 'CLS', 'INP', 'TTFB'];
+
+/**
+ * Core Web Vitals percentiles per path and device class, busiest first:
+ * { LCP: [{ path, device, samples, p50, p75, p95 }], CLS: [...], INP: [...], TTFB: [...] }.
+ * Percentiles use the nearest-rank method over the raw samples in the range.
+ */
+export async function getWebVitalsReport(db, range = 7, { limit = 10 } = {}) {
+  const { since, until } = resolveRange(range);
+  
+  try {
+    const reports = await Promise.all(WEB_VITALS.map(metric => db.prepare(`
+      WITH ranked AS (
+        SELECT path, device, value,
+          ROW_NUMBER() OVER (PARTITION BY path, device ORDER BY value) as position,
+          COUNT(*) OVER (PARTITION BY path, device) as samples
+        FROM performance_metrics
+        WHERE metric = ? AND timestamp >= ? AND timestamp < ? AND value IS NOT NULL
+      )
+      SELECT path, device, samples,
+        MIN(CASE WHEN position >= samples * 0.50 THEN value END) as p50,
+        MIN(CASE WHEN position >= samples * 0.75 THEN value END) as p75,
+        MIN(CASE WHEN position >= samples * 0.95 THEN value END) as p95
+      FROM ranked
+      GROUP BY path, device
+      ORDER BY samples DESC, path
+      LIMIT ?
+    `).bind(metric, since, until, limit).all()));
+    
+    return Object.fromEntries(WEB_VITALS.map((metric, index) => [metric, reports[index]?.results || []]));
+  } catch (error) {
+    console.error('Web vitals report error:', error);
+    return Object.fromEntries(WEB_VITALS.map(metric => [metric, []]));
+  }
+}
+
+// Conversions credited to the first or last touch of their session, by channel, source and campaign
+export async function getConversionAttribution(db, range = 30, { type = null, touch = 'first', limit = 10 } = {}) {
+  const { since, until } = resolveRange(range);
+  const prefix = touch === 'last' ? 'last' : 'first';
+  
+  try {
+    const { results } = await db.prepare(`
+      SELECT
+        COALESCE(${prefix}_channel, 'unknown') as channel,
+        COALESCE(${prefix}_source, '') as source,
+        COALESCE(${prefix}_campaign, '') as campaign,
+        COUNT(*) as conversions,
+        COALESCE(SUM(value), 0) as value
+      FROM conversions
+      WHERE timestamp >= ? AND timestamp < ? AND (? IS NULL OR type = ?)
+      GROUP BY 1, 2, 3
+      ORDER BY conversions DESC
+      LIMIT ?
+    `).bind(since, until, type, type, limit).all();
+    
+    return results || [];
+  } catch (error) {
+    console.error('Conversion attribution error:', error);
+    return [];
+  }
+}
+
+export async function getNewsletterStats(db, range = 30) {
+  const { since, until } = resolveRange(range);
+  
   try {
     const stats = await Promise.all([
       // Total subscribers
@@ -151,16 +264,16 @@ export async function getNewsletterStats(db) {
         AND subscribed_at > datetime('now', '-7 days')
       `).first(),
       
-      // Subscribers by day (last 30 days)
+      // Subscribers by day in the range
       db.prepare(`
         SELECT 
           DATE(subscribed_at) as date,
           COUNT(*) as count
         FROM newsletter_subscribers 
-        WHERE subscribed_at > datetime('now', '-30 days')
+        WHERE subscribed_at >= ? AND subscribed_at < ?
         GROUP BY DATE(subscribed_at)
         ORDER BY date DESC
-      `).all()
+      `).bind(since, until).all()
     ]);
     
     return {
@@ -179,49 +292,114 @@ export async function getNewsletterStats(db) {
   }
 }
 
-// Performance tracking
-export async function trackPerformance(db, path, loadTime, userAgent) {
-  try {
-    await db.prepare(
-      'INSERT INTO performance_metrics (path, load_time, user_agent, timestamp) VALUES (?, ?, ?, ?)'
-    ).bind(path, loadTime, userAgent, new Date().toISOString()).run();
-  } catch (error) {
-    console.error('Performance tracking error:', error);
-  }
+function resolveRange(range) {
+  const today = new Date().toISOString().substring(0, 10);
+  const { from, to } = typeof range === 'number'
+    ? { from: shiftDate(today, -(range - 1)), to: today }
+    : range;
+  
+  return {
+    from,
+    to,
+    since: `${from}T00:00:00.000Z`,
+    until: `${shiftDate(to, 1)}T00:00:00.000Z`,
+    period: typeof range === 'number' ? `${range} days` : `${from} to ${to}`
+  };
 }
 
-// Event tracking for user interactions
-export async function trackEvent(db, event, properties = {}, sessionId) {
-  try {
-    await db.prepare(
-      'INSERT INTO events (event_name, properties, session_id, timestamp) VALUES (?, ?, ?, ?)'
-    ).bind(
-      event,
-      JSON.stringify(properties),
-      sessionId,
-      new Date().toISOString()
-    ).run();
-  } catch (error) {
-    console.error('Event tracking error:', error);
-  }
+// Bindings for the rollup half (date >= ? AND date <= ?) and the raw half
+// (timestamp >= ? AND timestamp < ?) of a report query
+async function getReportBindings(db, range) {
+  const { from, to, until } = resolveRange(range);
+  const rolledUpThrough = await getRolledUpThrough(db);
+  
+  // Before the first rollup, date <= NULL keeps the rollup half empty
+  const rollupTo = rolledUpThrough ? (rolledUpThrough < to ? rolledUpThrough : to) : null;
+  const rawFrom = rolledUpThrough && rolledUpThrough >= from ? shiftDate(rolledUpThrough, 1) : from;
+  
+  return [from, rollupTo, `${rawFrom}T00:00:00.000Z`, until];
 }
 
-// Conversion tracking
-export async function trackConversion(db, conversionType, sessionId, value = null) {
-  try {
-    await db.prepare(
-      'INSERT INTO conversions (type, session_id, value, timestamp) VALUES (?, ?, ?, ?)'
-    ).bind(
-      conversionType,
-      sessionId,
-      value,
-      new Date().toISOString()
-    ).run();
-    
-    console.log('Conversion tracked:', { conversionType, sessionId, value });
-  } catch (error) {
-    console.error('Conversion tracking error:', error);
+// Rollup columns and raw page_views filter for all traffic or humans only
+function getTrafficColumns(humansOnly) {
+  return humansOnly
+    ? { views: 'human_views', visitors: 'human_visitors', raw: 'AND is_bot = 0' }
+    : { views: 'views', visitors: 'visitors', raw: '' };
+}
+
+async function getRolledUpThrough(db) {
+  const row = await db.prepare('SELECT MAX(date) as date FROM analytics_daily_totals').first();
+  return row?.date || null;
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().substring(0, 10);
+}
+
+/**
+ * Roll complete UTC days of page_views up into the daily tables (totals, pages,
+ * countries, referrer hosts). Starts the day after the last rolled-up day, or at the
+ * oldest raw row, and stops at yesterday. Each day is recomputed from raw rows and
+ * upserted, so running it twice is harmless. Must run before raw rows are deleted.
+ */
+export async function rollupDailyAnalytics(db) {
+  const yesterday = shiftDate(new Date().toISOString().substring(0, 10), -1);
+  const rolledUpThrough = await getRolledUpThrough(db);
+  let from = rolledUpThrough ? shiftDate(rolledUpThrough, 1) : null;
+  
+  if (!from) {
+    const oldest = await db.prepare('SELECT MIN(timestamp) as timestamp FROM page_views').first();
+    from = oldest?.timestamp ? oldest.timestamp.substring(0, 10) : null;
+  }
+  
+  if (!from || from > yesterday) {
+    return { from, to: yesterday, days: 0 };
   }
+  
+  const since = `${from}T00:00:00.000Z`;
+  const until = `${shiftDate(yesterday, 1)}T00:00:00.000Z`;
+  
+  await db.batch([
+    db.prepare(`
+      INSERT INTO analytics_daily_totals (date, views, visitors, human_views, human_visitors)
+      SELECT substr(timestamp, 1, 10), COUNT(*), COUNT(DISTINCT session_id), ${HUMAN_COUNTS_SQL}
+      FROM page_views
+      WHERE timestamp >= ? AND timestamp < ?
+      GROUP BY substr(timestamp, 1, 10)
+      ON CONFLICT(date) DO UPDATE SET ${ROLLUP_UPDATE_SQL}
+    `).bind(since, until),
+    db.prepare(`
+      INSERT INTO analytics_daily_pages (date, path, views, visitors, human_views, human_visitors)
+      SELECT substr(timestamp, 1, 10), path, COUNT(*), COUNT(DISTINCT session_id), ${HUMAN_COUNTS_SQL}
+      FROM page_views
+      WHERE timestamp >= ? AND timestamp < ?
+      GROUP BY substr(timestamp, 1, 10), path
+      ON CONFLICT(date, path) DO UPDATE SET ${ROLLUP_UPDATE_SQL}
+    `).bind(since, until),
+    db.prepare(`
+      INSERT INTO analytics_daily_countries (date, country, views, visitors, human_views, human_visitors)
+      SELECT substr(timestamp, 1, 10), COALESCE(country, 'Unknown'), COUNT(*), COUNT(DISTINCT session_id), ${HUMAN_COUNTS_SQL}
+      FROM page_views
+      WHERE timestamp >= ? AND timestamp < ?
+      GROUP BY substr(timestamp, 1, 10), COALESCE(country, 'Unknown')
+      ON CONFLICT(date, country) DO UPDATE SET ${ROLLUP_UPDATE_SQL}
+    `).bind(since, until),
+    db.prepare(`
+      INSERT INTO analytics_daily_referrers (date, host, views, visitors, human_views, human_visitors)
+      SELECT date, host, COUNT(*), COUNT(DISTINCT session_id), ${HUMAN_COUNTS_SQL}
+      FROM (${REFERRER_HOSTS_SQL})
+      WHERE host != ''
+      GROUP BY date, host
+      ON CONFLICT(date, host) DO UPDATE SET ${ROLLUP_UPDATE_SQL}
+    `).bind(since, until)
+  ]);
+  
+  const days = Math.round((Date.parse(until) - Date.parse(since)) / (24 * 60 * 60 * 1000));
+  console.log(`Analytics rolled up from ${from} to ${yesterday}`);
+  
+  return { from, to: yesterday, days };
 }
 
 // Data cleanup - remove old analytics data for privacy
@@ -0,0 +1,138 @@
+/**
+ * Campaign attribution for analytics sessions
+ * A touch is where a visit came from: utm_source / utm_medium / utm_campaign from the
+ * landing URL, and the Referer reduced to a host and a channel. Navigation within the
+ * site is not a touch. Sessions keep their first and last touch (utils/tracking.js) and
+ * conversions are credited to both.
+ */
+
+export const CHANNELS = ['search', 'social', 'email', 'referral', 'campaign', 'direct'];
+
+const MAX_UTM_LENGTH = 100;
+
+// Matched against the referrer host (without www.) and its parent domains, and against utm_source
+const SEARCH_HOSTS = [
+  'google', 'bing.com', 'duckduckgo.com', 'search.yahoo.com', 'yahoo', 'baidu.com',
+  'yandex', 'ecosia.org', 'search.brave.com', 'startpage.com', 'qwant.com', 'naver.com'
+];
+
+const SOCIAL_HOSTS = [
+  'facebook', 'fb.com', 'instagram', 'twitter', 'x.com', 't.co', 'linkedin', 'lnkd.in',
+  'pinterest', 'reddit', 'youtube', 'youtu.be', 'tiktok', 'threads.net', 'mastodon.social',
+  'bsky.app', 'tumblr', 'quora.com', 'news.ycombinator.com'
+];
+
+const EMAIL_HOSTS = [
+  'mail.google.com', 'outlook.live.com', 'outlook.office.com', 'mail.yahoo.com',
+  'mail.aol.com', 'mail.proton.me', 'email', 'newsletter'
+];
+
+const MEDIUM_CHANNELS = {
+  email: 'email',
+  newsletter: 'email',
+  social: 'social',
+  'social-media': 'social',
+  'social_media': 'social',
+  organic: 'search',
+  search: 'search',
+  cpc: 'search',
+  ppc: 'search',
+  referral: 'referral'
+};
+
+/**
+ * The request's touch { source, medium, campaign, referrerHost, channel }, or null
+ * when it is navigation within the site. source falls back to the referrer host and
+ * medium to the channel, so untagged visits still group sensibly.
+ */
+export function getTouch(request) {
+  const url = new URL(request.url);
+  const siteHost = stripWww(url.hostname.toLowerCase());
+  const referrerHost = normalizeReferrerHost(request.headers.get('Referer'));
+
+  const source = getUtmParam(url, 'utm_source');
+  const medium = getUtmParam(url, 'utm_medium');
+  const campaign = getUtmParam(url, 'utm_campaign');
+
+  const internal = referrerHost && (referrerHost === siteHost || referrerHost.endsWith(`.${siteHost}`));
+  if (internal && !source && !medium && !campaign) {
+    return null;
+  }
+
+  const externalHost = internal ? null : referrerHost;
+  const channel = classifyChannel({ source, medium, referrerHost: externalHost });
+
+  return {
+    source: source || externalHost || '(direct)',
+    medium: medium || channel,
+    campaign,
+    referrerHost: externalHost,
+    channel
+  };
+}
+
+// "https://www.Google.com:443/search?q=x" → "google.com"
+export function normalizeReferrerHost(referrer) {
+  if (!referrer) {
+    return null;
+  }
+
+  try {
+    const url = new URL(referrer);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    return stripWww(url.hostname.toLowerCase()) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// UTM tags win over the referrer; a tagged link we cannot place is its own 'campaign' channel
+export function classifyChannel({ source, medium, referrerHost }) {
+  if (medium && MEDIUM_CHANNELS[medium]) {
+    return MEDIUM_CHANNELS[medium];
+  }
+
+  for (const value of [source, referrerHost]) {
+    if (!value) {
+      continue;
+    }
+    if (matchesHost(value, EMAIL_HOSTS)) {
+      return 'email';
+    }
+    if (matchesHost(value, SEARCH_HOSTS)) {
+      return 'search';
+    }
+    if (matchesHost(value, SOCIAL_HOSTS)) {
+      return 'social';
+    }
+  }
+
+  if (source || medium) {
+    return 'campaign';
+  }
+
+  return referrerHost ? 'referral' : 'direct';
+}
+
+// 'google' matches google.com, google.co.uk and news.google.com; 'x.com' matches only x.com and its subdomains
+function matchesHost(value, patterns) {
+  const labels = value.split('.');
+
+  return patterns.some(pattern => {
+    if (pattern.includes('.')) {
+      return value === pattern || value.endsWith(`.${pattern}`);
+    }
+    return labels.includes(pattern);
+  });
+}
+
+function getUtmParam(url, name) {
+  const value = (url.searchParams.get(name) || '').trim().toLowerCase();
+  return value ? value.substring(0, MAX_UTM_LENGTH) : null;
+}
+
+function stripWww(host) {
+  return host.startsWith('www.') ? host.substring(4) : host;
+}
@@ -0,0 +1,183 @@
+/**
+ * Authentication and scopes for management endpoints
+ * A request is authenticated by, in order:
+ * - a bearer API key, stored in D1 as a SHA-256 hash with its scopes
+ * - the ADMIN_API_TOKEN bootstrap token, which has every scope (use it to create keys)
+ * - a Cloudflare Access JWT, when ACCESS_TEAM_DOMAIN and ACCESS_AUD are set; it grants
+ *   only the scopes listed in ACCESS_SCOPES (none when unset)
+ * - the WEBHOOK_SECRET query parameter, for endpoints that allow it (WordPress.com
+ *   webhooks cannot set headers); it only grants cache:purge
+ */
+
+import { verifyAccessJwt } from './access.js';
+import { isJsonRequest } from './response.js';
+
+export const SCOPES = [
+  'analytics:read',
+  'campaigns:read',
+  'campaigns:write',
+  'contact:read',
+  'contact:write',
+  'subscribers:export',
+  'cache:purge',
+  'keys:manage'
+];
+
+// Grants every scope
+export const ALL_SCOPES = '*';
+
+export const API_KEY_PREFIX = 'gek_';
+
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve the caller to a principal { type, id, name, scopes }, or null
+ */
+export async function authenticateRequest(request, env, { allowWebhookSecret = false } = {}) {
+  const authHeader = request.headers.get('Authorization') || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
+
+  if (bearerToken) {
+    if (bearerToken.startsWith(API_KEY_PREFIX) && env.DB) {
+      const apiKey = await findApiKey(env.DB, bearerToken);
+      if (apiKey) {
+        return apiKey;
+      }
+    }
+
+    if (env.ADMIN_API_TOKEN && await secureCompare(bearerToken, env.ADMIN_API_TOKEN)) {
+      return { type: 'bootstrap', id: null, name: 'ADMIN_API_TOKEN', scopes: [ALL_SCOPES] };
+    }
+  }
+
+  const accessToken = getAccessToken(request);
+  if (accessToken && env.ACCESS_TEAM_DOMAIN && env.ACCESS_AUD) {
+    const claims = await verifyAccessJwt(accessToken, env);
+    if (claims) {
+      return {
+        type: 'access',
+        id: claims.sub || null,
+        name: claims.email || claims.common_name || 'Cloudflare Access',
+        // Everyone the Access policy admits gets these, so they must be chosen explicitly
+        scopes: parseScopes(env.ACCESS_SCOPES)
+      };
+    }
+  }
+
+  if (allowWebhookSecret && env.WEBHOOK_SECRET) {
+    const secret = new URL(request.url).searchParams.get('secret') || '';
+    if (secret && await secureCompare(secret, env.WEBHOOK_SECRET)) {
+      return { type: 'webhook', id: null, name: 'WEBHOOK_SECRET', scopes: ['cache:purge'] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Middleware for management endpoints. Returns { principal } when the caller
+ * holds the scope, otherwise { response } with a 401 or 403 JSON error.
+ */
+export async function authorizeRequest(request, env, scope, options = {}) {
+  let principal = null;
+
+  try {
+    principal = await authenticateRequest(request, env, options);
+  } catch (error) {
+    console.error('Authentication error:', error.message);
+  }
+
+  if (!principal) {
+    return {
+      response: authErrorResponse(401, { error: 'Authentication required' }, { 'WWW-Authenticate': 'Bearer' })
+    };
+  }
+
+  // Access logins ride on the CF_Authorization cookie, which other sites can make the browser send
+  if (principal.type === 'access' && !SAFE_METHODS.includes(request.method) && !isJsonRequest(request)) {
+    return {
+      response: authErrorResponse(415, { error: 'Changes must be sent with Content-Type: application/json' })
+    };
+  }
+
+  if (!hasScope(principal, scope)) {
+    return {
+      response: authErrorResponse(403, { error: `Missing required scope: ${scope}`, required_scope: scope })
+    };
+  }
+
+  return { principal };
+}
+
+export function hasScope(principal, scope) {
+  return Boolean(principal) && (principal.scopes.includes(ALL_SCOPES) || principal.scopes.includes(scope));
+}
+
+// "analytics:read contact:read" or "analytics:read,contact:read" → ['analytics:read', 'contact:read']
+export function parseScopes(value) {
+  const scopes = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(scopes.map(scope => String(scope).trim()).filter(Boolean))];
+}
+
+export async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function findApiKey(db, key) {
+  const now = new Date().toISOString();
+  const row = await db.prepare(`
+    SELECT id, name, scopes, last_used_at FROM api_keys
+    WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+  `).bind(await hashApiKey(key), now).first();
+
+  if (!row) {
+    return null;
+  }
+
+  if (!row.last_used_at || Date.parse(row.last_used_at) < Date.now() - LAST_USED_RESOLUTION_MS) {
+    await db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').bind(now, row.id).run();
+  }
+
+  return { type: 'api_key', id: row.id, name: row.name, scopes: parseScopes(row.scopes) };
+}
+
+// Access puts the JWT in a header for applications behind it and in a cookie for browsers
+function getAccessToken(request) {
+  const header = request.headers.get('Cf-Access-Jwt-Assertion');
+  if (header) {
+    return header;
+  }
+
+  const cookie = (request.headers.get('Cookie') || '').match(/(?:^|;\s*)CF_Authorization=([^;]+)/);
+  return cookie ? cookie[1] : null;
+}
+
+function authErrorResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+// Compare digests so the comparison time does not depend on where the inputs differ
+async function secureCompare(a, b) {
+  const encoder = new TextEncoder();
+  const [hashA, hashB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b))
+  ]);
+
+  const bytesA = new Uint8Array(hashA);
+  const bytesB = new Uint8Array(hashB);
+  let diff = 0;
+
+  for (let i = 0; i < bytesA.length; i++) {
+    diff |= bytesA[i] ^ bytesB[i];
+  }
+
+  return diff === 0;
+}
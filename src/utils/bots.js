@@ -0,0 +1,85 @@
+/**
+ * Bot and crawler classification for analytics
+ * A request counts as automated when, in order:
+ * - it is a browser prefetch or link preview (Sec-Purpose / Purpose / X-Purpose / X-Moz headers)
+ * - Cloudflare Bot Management marks it as a verified bot or scores it as likely automated
+ *   (request.cf.botManagement is only present on plans with Bot Management)
+ * - it has no User-Agent, or the User-Agent matches a known crawler, monitor or HTTP library
+ */
+
+// Bot Management scores run from 1 (automated) to 99 (human); below 30 is "likely automated"
+const BOT_SCORE_THRESHOLD = 30;
+
+// Lower-cased User-Agent fragments. Kept in sync with the backfill in migrations/0013_bot_filtering.sql
+export const BOT_USER_AGENT_PATTERNS = [
+  'bot',
+  'crawl',
+  'spider',
+  'slurp',
+  'archiver',
+  'facebookexternalhit',
+  'embedly',
+  'preview',
+  'headless',
+  'lighthouse',
+  'pagespeed',
+  'uptime',
+  'pingdom',
+  'statuscake',
+  'monitor',
+  'curl/',
+  'wget/',
+  'python-requests',
+  'python-urllib',
+  'aiohttp',
+  'go-http-client',
+  'java/',
+  'okhttp',
+  'node-fetch',
+  'axios/',
+  'undici',
+  'libwww-perl',
+  'httpclient',
+  'feedfetcher',
+  'feedly',
+  'rss'
+];
+
+/**
+ * Returns { isBot, reason } where reason is one of 'prefetch', 'verified_bot',
+ * 'bot_score', 'no_user_agent', 'user_agent' or null
+ */
+export function classifyRequest(request) {
+  const headers = request.headers;
+  const purpose = [headers.get('Sec-Purpose'), headers.get('Purpose'), headers.get('X-Purpose'), headers.get('X-Moz')]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  if (purpose.includes('prefetch') || purpose.includes('preview')) {
+    return { isBot: true, reason: 'prefetch' };
+  }
+
+  const botManagement = request.cf?.botManagement;
+  if (botManagement) {
+    if (botManagement.verifiedBot) {
+      return { isBot: true, reason: 'verified_bot' };
+    }
+
+    if (typeof botManagement.score === 'number' && botManagement.score > 0 && botManagement.score < BOT_SCORE_THRESHOLD) {
+      return { isBot: true, reason: 'bot_score' };
+    }
+  }
+
+  const userAgent = (headers.get('User-Agent') || '').trim().toLowerCase();
+
+  if (!userAgent) {
+    return { isBot: true, reason: 'no_user_agent' };
+  }
+
+  if (BOT_USER_AGENT_PATTERNS.some(pattern => userAgent.includes(pattern))) {
+    return { isBot: true, reason: 'user_agent' };
+  }
+
+  return { isBot: false, reason: null };
+}
@@ -0,0 +1,191 @@
+/**
+ * Edge cache for processed WordPress pages
+ * Stores page content in the Workers Cache API, serves stale copies while
+ * refreshing in the background, and keeps them as the served copy when WordPress is down
+ */
+
+import { getPageContent } from './wordpress.js';
+
+const CACHE_PREFIX = '/__page-cache/';
+const FRESH_TTL = 5 * 60 * 1000; // 5 minutes before a background refresh
+const STALE_TTL = 7 * 24 * 60 * 60; // Keep stale copies for a week (seconds)
+const PURGE_BATCH_SIZE = 30;
+// D1 allows at most 100 bound parameters per statement
+const INDEX_DELETE_BATCH_SIZE = 100;
+// Cache deletions run this many at a time
+const CACHE_DELETE_BATCH_SIZE = 50;
+
+export async function getCachedPageContent(route, env, ctx) {
+  const cache = getCache();
+
+  if (!cache) {
+    return getPageContent(route, env);
+  }
+
+  const cacheKey = getCacheKey(route, env);
+
+  try {
+    const cached = await cache.match(cacheKey);
+
+    if (cached) {
+      const contentData = await cached.json();
+      const cachedAt = Date.parse(cached.headers.get('X-Cached-At') || '') || 0;
+
+      if (Date.now() - cachedAt < FRESH_TTL) {
+        return { ...contentData, cacheStatus: 'HIT' };
+      }
+
+      // Serve the stale copy now and refresh it once the response is sent
+      ctx.waitUntil(refreshPageContent(route, env, cache, cacheKey));
+      return { ...contentData, cacheStatus: 'STALE' };
+    }
+  } catch (error) {
+    console.error(`Page cache read error for route ${route}:`, error.message);
+  }
+
+  const contentData = await getPageContent(route, env);
+
+  if (isCacheable(contentData)) {
+    ctx.waitUntil(storePageContent(route, contentData, env, cache, cacheKey));
+  }
+
+  return { ...contentData, cacheStatus: 'MISS' };
+}
+
+async function refreshPageContent(route, env, cache, cacheKey) {
+  try {
+    const contentData = await getPageContent(route, env);
+
+    // Keep the stale copy when WordPress is down instead of caching fallback pages
+    if (!isCacheable(contentData)) {
+      console.warn(`Background refresh failed for route ${route}, keeping stale copy`);
+      return;
+    }
+
+    await storePageContent(route, contentData, env, cache, cacheKey);
+  } catch (error) {
+    console.error(`Background refresh error for route ${route}:`, error.message);
+  }
+}
+
+async function storePageContent(route, contentData, env, cache, cacheKey) {
+  try {
+    const { cacheStatus, ...data } = contentData;
+    const cachedAt = new Date().toISOString();
+
+    await cache.put(cacheKey, new Response(JSON.stringify(data), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${STALE_TTL}`,
+        'X-Cached-At': cachedAt
+      }
+    }));
+
+    // Remember the route so "purge all" knows which entries exist
+    if (env.DB) {
+      await env.DB.prepare(
+        'INSERT INTO cached_pages (route, cached_at) VALUES (?, ?) ON CONFLICT(route) DO UPDATE SET cached_at = excluded.cached_at'
+      ).bind(route, cachedAt).run();
+    }
+  } catch (error) {
+    console.error('Page cache write error:', error.message);
+  }
+}
+
+/**
+ * Delete cached copies of the given routes. Pass { all: true } when routes is every
+ * cached route, so the whole cached_pages index is cleared in one statement
+ */
+export async function purgeCachedPages(routes, env, { all = false } = {}) {
+  const uniqueRoutes = [...new Set(routes)];
+  const cacheKeys = uniqueRoutes.map(route => getCacheKey(route, env));
+  const cache = getCache();
+
+  if (cache) {
+    for (let i = 0; i < cacheKeys.length; i += CACHE_DELETE_BATCH_SIZE) {
+      await Promise.all(cacheKeys.slice(i, i + CACHE_DELETE_BATCH_SIZE).map(cacheKey => cache.delete(cacheKey)));
+    }
+  }
+
+  if (env.DB && uniqueRoutes.length > 0) {
+    try {
+      if (all) {
+        await env.DB.prepare('DELETE FROM cached_pages').run();
+      } else {
+        for (let i = 0; i < uniqueRoutes.length; i += INDEX_DELETE_BATCH_SIZE) {
+          const batch = uniqueRoutes.slice(i, i + INDEX_DELETE_BATCH_SIZE);
+          await env.DB.prepare(
+            `DELETE FROM cached_pages WHERE route IN (${batch.map(() => '?').join(', ')})`
+          ).bind(...batch).run();
+        }
+      }
+    } catch (error) {
+      console.error('Cached page index cleanup error:', error.message);
+    }
+  }
+
+  // cache.delete only clears the local data center, so purge every other one through the API
+  const globalPurge = await purgeFromAllDataCenters(cacheKeys, env);
+
+  console.log(`Purged ${uniqueRoutes.length} cached page(s)`, { global: globalPurge });
+  return { routes: uniqueRoutes, global: globalPurge };
+}
+
+export async function getCachedRoutes(env) {
+  if (!env.DB) {
+    return [];
+  }
+
+  try {
+    const result = await env.DB.prepare('SELECT route FROM cached_pages').all();
+    return (result.results || []).map(row => row.route);
+  } catch (error) {
+    console.error('Cached page index read error:', error.message);
+    return [];
+  }
+}
+
+async function purgeFromAllDataCenters(cacheKeys, env) {
+  if (!env.CLOUDFLARE_ZONE_ID || !env.CLOUDFLARE_API_TOKEN) {
+    return false;
+  }
+
+  try {
+    // The purge API accepts at most 30 URLs per call
+    for (let i = 0; i < cacheKeys.length; i += PURGE_BATCH_SIZE) {
+      const response = await fetch(
+        `https://api.cloudflare.com/client/v4/zones/${env.CLOUDFLARE_ZONE_ID}/purge_cache`,
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${env.CLOUDFLARE_API_TOKEN}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ files: cacheKeys.slice(i, i + PURGE_BATCH_SIZE) })
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Global cache purge error:', error.message);
+    return false;
+  }
+}
+
+function isCacheable(contentData) {
+  return Boolean(contentData) && !contentData.isFallback && !contentData.notFound;
+}
+
+function getCacheKey(route, env) {
+  return `https://${env.DOMAIN || 'goevergreen.shop'}${CACHE_PREFIX}${encodeURIComponent(route)}`;
+}
+
+function getCache() {
+  // The Cache API is not available in every runtime (e.g. some local setups)
+  return typeof caches !== 'undefined' && caches.default ? caches.default : null;
+}
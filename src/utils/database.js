@@ -170,6 +170,54 @@ export async function unsubscribeFromNewsletter(db, email) {
   }
 }
 
+export async function getSubscriber(db, email) {
+  if (!db) {
+    return null;
+  }
+  
+  try {
+    return await db.prepare(
+      'SELECT id, email, name, confirmed, unsubscribed, subscribed_at FROM newsletter_subscribers WHERE email = ?'
+    ).bind(email.trim().toLowerCase()).first();
+  } catch (error) {
+    console.error('Subscriber lookup error:', error.message);
+    return null;
+  }
+}
+
+// Preferences come from a signed link sent to the subscriber, which proves they own
+// the address - so resubscribing there does not need another confirmation
+export async function updateNewsletterPreferences(db, email, { name, resubscribe = false }) {
+  if (!db) {
+    return { success: false, error: 'Database not available' };
+  }
+  
+  try {
+    const result = await db.prepare(`
+      UPDATE newsletter_subscribers
+      SET name = COALESCE(?, name),
+          unsubscribed = CASE WHEN ? THEN FALSE ELSE unsubscribed END,
+          confirmed = CASE WHEN ? THEN TRUE ELSE confirmed END,
+          confirmed_at = CASE WHEN ? THEN COALESCE(confirmed_at, ?) ELSE confirmed_at END
+      WHERE email = ?
+    `).bind(
+      name === undefined ? null : name.trim().substring(0, 100),
+      resubscribe ? 1 : 0,
+      resubscribe ? 1 : 0,
+      resubscribe ? 1 : 0,
+      new Date().toISOString(),
+      email.trim().toLowerCase()
+    ).run();
+    
+    return result.meta.changes > 0
+      ? { success: true }
+      : { success: false, error: 'Subscriber not found' };
+  } catch (error) {
+    console.error('Newsletter preferences error:', error.message);
+    return { success: false, error: 'Failed to update preferences' };
+  }
+}
+
 // Contact form functions
 export async function saveContactSubmission(db, { name, email, message }) {
   if (!db) {
@@ -204,85 +252,6 @@ export async function saveContactSubmission(db, { name, email, message }) {
   }
 }
 
-// Analytics functions with graceful degradation
-export async function trackPageView(db, path, request) {
-  if (!db) {
-    // Silently fail if no database - analytics are optional
-    return;
-  }
-  
-  try {
-    const userAgent = (request.headers.get('User-Agent') || '').substring(0, 200);
-    const country = request.cf?.country || 'Unknown';
-    const referrer = (request.headers.get('Referer') || '').substring(0, 200);
-    const timestamp = new Date().toISOString();
-    
-    // Generate session ID
-    const sessionId = await getOrCreateSession(db, request, country, userAgent);
-    
-    await db.prepare(
-      'INSERT INTO page_views (path, user_agent, country, referrer, timestamp, session_id) VALUES (?, ?, ?, ?, ?, ?)'
-    ).bind(path, userAgent, country, referrer, timestamp, sessionId).run();
-    
-  } catch (error) {
-    console.error('Page view tracking error:', error.message);
-    // Don't throw error for analytics - it shouldn't break the main flow
-  }
-}
-
-async function getOrCreateSession(db, request, country, userAgent) {
-  try {
-    // Simple session ID based on IP and user agent hash (privacy-friendly)
-    const ip = request.headers.get('CF-Connecting-IP') || 
-               request.headers.get('X-Forwarded-For') || 
-               'unknown';
-    const sessionData = ip + userAgent + new Date().toDateString();
-    const sessionId = await hashString(sessionData.substring(0, 100));
-    
-    // Check if session exists
-    const existingSession = await db.prepare(
-      'SELECT id FROM user_sessions WHERE id = ?'
-    ).bind(sessionId).first();
-    
-    if (existingSession) {
-      // Update last activity
-      await db.prepare(
-        'UPDATE user_sessions SET last_activity = ?, page_count = page_count + 1 WHERE id = ?'
-      ).bind(new Date().toISOString(), sessionId).run();
-    } else {
-      // Create new session
-      await db.prepare(
-        'INSERT INTO user_sessions (id, country, user_agent) VALUES (?, ?, ?)'
-      ).bind(sessionId, country, userAgent.substring(0, 200)).run();
-    }
-    
-    return sessionId;
-  } catch (error) {
-    console.error('Session management error:', error.message);
-    return 'anonymous-' + Date.now().toString(36);
-  }
-}
-
-// Utility function to hash strings for session IDs
-async function hashString(str) {
-  try {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(str);
-    const hash = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hash));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 32);
-  } catch (error) {
-    // Fallback hash for environments without crypto.subtle
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash).toString(36).padStart(8, '0');
-  }
-}
-
 // Analytics query functions
 export async function getPageViewStats(db, days = 7) {
   if (!db) {
@@ -329,10 +298,10 @@ export async function getSubscriberCount(db) {
   }
 }
 
-// Utility function to validate email addresses
-function isValidEmail(email) {
+// Utility function to validate email addresses (same pattern as the contact form)
+export function isValidEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email) && email.length <= 255;
+  return typeof email === 'string' && emailRegex.test(email) && email.length <= 255;
 }
 
 // Health check function
@@ -0,0 +1,132 @@
+/**
+ * Blog feeds
+ * RSS 2.0, Atom and JSON Feed versions of the latest WordPress posts,
+ * with every link pointing at the custom domain
+ */
+
+import { getPosts } from './wordpress-api.js';
+import { escapeHtml } from './response.js';
+
+const FEED_SIZE = 20;
+const FEED_TITLE = 'GoEvergreen Health & Wellness Blog';
+const FEED_DESCRIPTION = 'The latest wellness trends, health research, and expert tips from GoEvergreen.';
+
+const FEEDS = {
+  rss: { path: '/feed', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { path: '/feed/atom', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { path: '/feed.json', contentType: 'application/feed+json; charset=utf-8' }
+};
+
+/**
+ * Returns 'rss', 'atom' or 'json' for a feed path (trailing slash allowed), otherwise null
+ */
+export function getFeedFormat(pathname) {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  return Object.keys(FEEDS).find(format => FEEDS[format].path === path) || null;
+}
+
+/**
+ * Build the feed response. Last-Modified is the newest post change, so
+ * callers can answer If-Modified-Since from a cached copy.
+ */
+export async function createFeedResponse(format, env) {
+  const { posts } = await getPosts(env, { perPage: FEED_SIZE, includeContent: true });
+  const feed = {
+    baseUrl: `https://${env.DOMAIN || 'goevergreen.shop'}`,
+    updated: posts.map(post => post.modifiedAt || post.publishedAt).filter(Boolean).sort().pop() || new Date().toISOString(),
+    posts
+  };
+
+  const body = format === 'atom'
+    ? renderAtom(feed)
+    : format === 'json'
+      ? renderJsonFeed(feed)
+      : renderRss(feed);
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': FEEDS[format].contentType,
+      'Cache-Control': 'public, max-age=900',
+      'Last-Modified': new Date(feed.updated).toUTCString()
+    }
+  });
+}
+
+function renderRss({ baseUrl, updated, posts }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHtml(FEED_TITLE)}</title>
+    <link>${baseUrl}/blog</link>
+    <description>${escapeHtml(FEED_DESCRIPTION)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${baseUrl}${FEEDS.rss.path}" rel="self" type="application/rss+xml"/>
+${posts.map(post => `    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <link>${getPostUrl(post, baseUrl)}</link>
+      <guid isPermaLink="true">${getPostUrl(post, baseUrl)}</guid>${post.publishedAt ? `
+      <pubDate>${new Date(post.publishedAt).toUTCString()}</pubDate>` : ''}${post.author ? `
+      <dc:creator>${escapeHtml(post.author)}</dc:creator>` : ''}${post.categories.map(category => `
+      <category>${escapeHtml(category.name)}</category>`).join('')}
+      <description>${escapeHtml(post.excerpt)}</description>
+      <content:encoded>${toCData(post.content)}</content:encoded>
+    </item>`).join('\n')}
+  </channel>
+</rss>`;
+}
+
+function renderAtom({ baseUrl, updated, posts }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(FEED_TITLE)}</title>
+  <subtitle>${escapeHtml(FEED_DESCRIPTION)}</subtitle>
+  <id>${baseUrl}/blog</id>
+  <link href="${baseUrl}/blog" rel="alternate" type="text/html"/>
+  <link href="${baseUrl}${FEEDS.atom.path}" rel="self" type="application/atom+xml"/>
+  <updated>${updated}</updated>
+${posts.map(post => `  <entry>
+    <title>${escapeHtml(post.title)}</title>
+    <id>${getPostUrl(post, baseUrl)}</id>
+    <link href="${getPostUrl(post, baseUrl)}" rel="alternate" type="text/html"/>${post.publishedAt ? `
+    <published>${post.publishedAt}</published>` : ''}
+    <updated>${post.modifiedAt || post.publishedAt || updated}</updated>
+    <author><name>${escapeHtml(post.author || 'GoEvergreen')}</name></author>${post.categories.map(category => `
+    <category term="${escapeHtml(category.slug)}" label="${escapeHtml(category.name)}"/>`).join('')}
+    <summary>${escapeHtml(post.excerpt)}</summary>
+    <content type="html">${escapeHtml(post.content)}</content>
+  </entry>`).join('\n')}
+</feed>`;
+}
+
+function renderJsonFeed({ baseUrl, posts }) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    home_page_url: `${baseUrl}/blog`,
+    feed_url: `${baseUrl}${FEEDS.json.path}`,
+    language: 'en-US',
+    items: posts.map(post => ({
+      id: getPostUrl(post, baseUrl),
+      url: getPostUrl(post, baseUrl),
+      title: post.title,
+      summary: post.excerpt,
+      content_html: post.content,
+      image: post.featuredImage?.url,
+      date_published: post.publishedAt || undefined,
+      date_modified: post.modifiedAt || undefined,
+      authors: post.author ? [{ name: post.author }] : undefined,
+      tags: post.categories.length > 0 ? post.categories.map(category => category.name) : undefined
+    }))
+  }, null, 2);
+}
+
+function getPostUrl(post, baseUrl) {
+  return `${baseUrl}/${post.route}`;
+}
+
+// "]]>" cannot appear inside a CDATA section, so split it across two sections
+function toCData(html) {
+  return `<![CDATA[${html.split(']]>').join(']]]]><![CDATA[>')}]]>`;
+}
@@ -0,0 +1,78 @@
+/**
+ * Outgoing mail
+ * Every message goes through a transport with a single send({ from, to, subject, text, html, headers, replyTo })
+ * method. env.MAIL_TRANSPORT can be any object with that method (tests pass a fake);
+ * otherwise Resend is used when RESEND_API_KEY is set
+ */
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+export function getMailTransport(env) {
+  if (env.MAIL_TRANSPORT && typeof env.MAIL_TRANSPORT.send === 'function') {
+    return env.MAIL_TRANSPORT;
+  }
+
+  if (env.RESEND_API_KEY) {
+    return createResendTransport(env.RESEND_API_KEY);
+  }
+
+  return createLogTransport(env);
+}
+
+/**
+ * Send a message, filling in the default sender.
+ * Returns { success } instead of throwing so callers can degrade gracefully.
+ */
+export async function sendMail(env, message) {
+  const transport = getMailTransport(env);
+  const from = message.from || env.MAIL_FROM || `GoEvergreen <newsletter@${env.DOMAIN || 'goevergreen.shop'}>`;
+
+  try {
+    await transport.send({ ...message, from });
+    console.log(`Mail sent: "${message.subject}"`);
+    return { success: true };
+  } catch (error) {
+    console.error('Mail send error:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+function createResendTransport(apiKey) {
+  return {
+    async send({ from, to, subject, text, html, headers, replyTo }) {
+      const response = await fetch(RESEND_API_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          from,
+          to: Array.isArray(to) ? to : [to],
+          subject,
+          text,
+          html,
+          headers,
+          reply_to: replyTo
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Resend API error ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+// Without a configured transport, mail is only logged outside production
+function createLogTransport(env) {
+  return {
+    async send({ to, subject, text }) {
+      if (env.ENVIRONMENT === 'production') {
+        throw new Error('No mail transport configured (set RESEND_API_KEY)');
+      }
+
+      console.log(`[mail] To: ${to}\nSubject: ${subject}\n\n${text}`);
+    }
+  };
+}
@@ -0,0 +1,330 @@
+/**
+ * Raw MIME messages for the Workers send_email binding and the email() handler
+ * The binding takes a complete RFC 5322 message, so headers and bodies are encoded here:
+ * non-ASCII headers as RFC 2047 encoded-words and bodies as base64 UTF-8.
+ * Inbound mail is parsed back into headers, text and HTML bodies and attachment metadata.
+ */
+
+const encoder = new TextEncoder();
+const CRLF = '\r\n';
+const MAX_PART_DEPTH = 10;
+
+/**
+ * Build a multipart/alternative message from { from, to, replyTo, subject, text, html, headers }.
+ * from, to and replyTo are either an address or { name, email }; replyTo may also be a list.
+ */
+export function buildMimeMessage({ from, to, replyTo, subject, text, html, headers = {}, messageId, date = new Date() }) {
+  const fromAddress = normalizeAddress(from);
+  const domain = fromAddress.email.split('@')[1] || 'localhost';
+  const boundary = `=_goevergreen_${crypto.randomUUID().replace(/-/g, '')}`;
+
+  const lines = [
+    `From: ${formatAddress(fromAddress)}`,
+    `To: ${formatAddress(normalizeAddress(to))}`,
+    ...(replyTo ? [`Reply-To: ${[].concat(replyTo).map(address => formatAddress(normalizeAddress(address))).join(', ')}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId || `<${crypto.randomUUID()}@${domain}>`}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(value)}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...bodyPart('text/plain', text),
+    ...(html ? [`--${boundary}`, ...bodyPart('text/html', html)] : []),
+    `--${boundary}--`,
+    ''
+  ];
+
+  return lines.join(CRLF);
+}
+
+/**
+ * Parse a raw message (ArrayBuffer, Uint8Array or binary string) into
+ * { headers, from, to, subject, messageId, inReplyTo, references, text, html, attachments }.
+ * headers is a Map of lowercase names to the first value; text and html come from the
+ * first inline part of each type, decoded from its transfer encoding and charset.
+ */
+export function parseMimeMessage(raw) {
+  const source = typeof raw === 'string' ? raw : toBinaryString(raw);
+  const root = parsePart(source.replace(/\r\n/g, '\n'), 0);
+  const message = {
+    headers: root.headers,
+    from: parseAddress(decodeHeader(root.headers.get('from') || '')),
+    to: parseAddress(decodeHeader(root.headers.get('to') || '')),
+    subject: decodeHeader(root.headers.get('subject') || ''),
+    messageId: (root.headers.get('message-id') || '').trim() || null,
+    inReplyTo: (root.headers.get('in-reply-to') || '').trim() || null,
+    references: (root.headers.get('references') || '').match(/<[^>]+>/g) || [],
+    text: '',
+    html: '',
+    attachments: []
+  };
+
+  collectParts(root, message);
+  return message;
+}
+
+/**
+ * Split "Name <email>" (or a bare address) into { name, email }
+ */
+export function parseAddress(value) {
+  const match = String(value).match(/^\s*(.*?)\s*<([^>]+)>/);
+  if (match) {
+    return { name: match[1].replace(/^"|"$/g, '').replace(/\\(.)/g, '$1').trim(), email: match[2].trim().toLowerCase() };
+  }
+  return { name: '', email: String(value).split(',')[0].trim().toLowerCase() };
+}
+
+function parsePart(source, depth) {
+  const separator = source.indexOf('\n\n');
+  const headerBlock = separator === -1 ? source : source.substring(0, separator);
+  const body = separator === -1 ? '' : source.substring(separator + 2);
+  const headers = parseHeaders(headerBlock);
+  const contentType = parseHeaderValue(headers.get('content-type') || 'text/plain');
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_PART_DEPTH) {
+    return {
+      headers,
+      contentType,
+      parts: splitMultipart(body, contentType.params.boundary).map(part => parsePart(part, depth + 1))
+    };
+  }
+
+  return { headers, contentType, body };
+}
+
+// Folded continuation lines start with whitespace; the first occurrence of a header wins
+function parseHeaders(block) {
+  const headers = new Map();
+  const lines = block.split('\n').reduce((unfolded, line) => {
+    if (/^[ \t]/.test(line) && unfolded.length > 0) {
+      unfolded[unfolded.length - 1] += ` ${line.trim()}`;
+    } else {
+      unfolded.push(line);
+    }
+    return unfolded;
+  }, []);
+
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      const name = line.substring(0, colon).trim().toLowerCase();
+      if (!headers.has(name)) {
+        headers.set(name, line.substring(colon + 1).trim());
+      }
+    }
+  }
+
+  return headers;
+}
+
+// "text/plain; charset=utf-8" → { value: 'text/plain', params: { charset: 'utf-8' } }
+function parseHeaderValue(header) {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+
+  for (const param of rest) {
+    const equals = param.indexOf('=');
+    if (equals > 0) {
+      const name = param.substring(0, equals).trim().toLowerCase();
+      params[name] = param.substring(equals + 1).trim().replace(/^"|"$/g, '');
+    }
+  }
+
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split('\n')) {
+    if (line.startsWith(delimiter)) {
+      const rest = line.substring(delimiter.length).trim();
+
+      if (rest === '' || rest === '--') {
+        if (current) {
+          parts.push(current.join('\n'));
+        }
+        current = rest === '--' ? null : [];
+        if (rest === '--') {
+          break;
+        }
+        continue;
+      }
+    }
+
+    if (current) {
+      current.push(line);
+    }
+  }
+
+  // Tolerate a missing closing delimiter
+  if (current && current.length > 0) {
+    parts.push(current.join('\n'));
+  }
+
+  return parts;
+}
+
+function collectParts(part, message) {
+  if (part.parts) {
+    part.parts.forEach(child => collectParts(child, message));
+    return;
+  }
+
+  const disposition = parseHeaderValue(part.headers.get('content-disposition') || 'inline');
+  const filename = disposition.params.filename || part.contentType.params.name;
+  const type = part.contentType.value;
+
+  if (disposition.value === 'attachment' || filename || !type.startsWith('text/')) {
+    message.attachments.push({
+      filename: filename ? decodeHeader(filename) : null,
+      contentType: type,
+      size: decodeTransferEncoding(part).length
+    });
+    return;
+  }
+
+  if (type === 'text/plain' && !message.text) {
+    message.text = decodeCharset(decodeTransferEncoding(part), part.contentType.params.charset);
+  } else if (type === 'text/html' && !message.html) {
+    message.html = decodeCharset(decodeTransferEncoding(part), part.contentType.params.charset);
+  }
+}
+
+// Returns a binary string (one char per byte)
+function decodeTransferEncoding(part) {
+  const encoding = (part.headers.get('content-transfer-encoding') || '7bit').trim().toLowerCase();
+
+  if (encoding === 'base64') {
+    try {
+      return atob(part.body.replace(/[^A-Za-z0-9+/=]/g, ''));
+    } catch (error) {
+      return '';
+    }
+  }
+
+  if (encoding === 'quoted-printable') {
+    return decodeQuotedPrintable(part.body);
+  }
+
+  return part.body;
+}
+
+function decodeQuotedPrintable(value) {
+  return value
+    .replace(/[ \t]+$/gm, '')
+    .replace(/=\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function decodeCharset(binary, charset = 'utf-8') {
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0) & 0xff);
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (error) {
+    // Unknown charset label
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+// Decode RFC 2047 encoded-words; whitespace between adjacent encoded-words is dropped
+function decodeHeader(value) {
+  return String(value)
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .split(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)/)
+    .map(segment => {
+      const word = segment.match(/^=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=$/);
+      if (!word) {
+        return decodeCharset(segment);
+      }
+
+      const [, charset, encoding, text] = word;
+      try {
+        const binary = encoding.toUpperCase() === 'B'
+          ? atob(text)
+          : decodeQuotedPrintable(text.replace(/_/g, ' '));
+        return decodeCharset(binary, charset);
+      } catch (error) {
+        return segment;
+      }
+    })
+    .join('');
+}
+
+function toBinaryString(raw) {
+  const bytes = raw instanceof Uint8Array ? raw : new Uint8Array(raw);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return binary;
+}
+
+function bodyPart(contentType, content) {
+  return [
+    `Content-Type: ${contentType}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...wrap(base64Encode(content || ''), 76)
+  ];
+}
+
+function normalizeAddress(address) {
+  return typeof address === 'string' ? { email: address } : address;
+}
+
+// CR/LF are stripped so visitor-supplied names can never add headers
+function formatAddress({ name, email }) {
+  const cleanEmail = String(email).replace(/[\r\n<>]/g, '');
+  const cleanName = name ? String(name).replace(/[\r\n]/g, ' ').trim() : '';
+
+  if (!cleanName) {
+    return cleanEmail;
+  }
+
+  const displayName = isPrintableAscii(cleanName)
+    ? `"${cleanName.replace(/["\\]/g, '\\$&')}"`
+    : encodeHeader(cleanName);
+
+  return `${displayName} <${cleanEmail}>`;
+}
+
+function encodeHeader(value) {
+  const clean = String(value).replace(/[\r\n]+/g, ' ');
+
+  if (isPrintableAscii(clean)) {
+    return clean;
+  }
+
+  // Short encoded-words keep every header line under 78 characters
+  const chars = Array.from(clean);
+  const words = [];
+  for (let i = 0; i < chars.length; i += 10) {
+    words.push(`=?UTF-8?B?${base64Encode(chars.slice(i, i + 10).join(''))}?=`);
+  }
+  return words.join(`${CRLF} `);
+}
+
+function isPrintableAscii(value) {
+  return /^[\x20-\x7e]*$/.test(value);
+}
+
+function base64Encode(value) {
+  let binary = '';
+  for (const byte of encoder.encode(value)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function wrap(value, width) {
+  const lines = [];
+  for (let i = 0; i < value.length; i += width) {
+    lines.push(value.substring(i, i + width));
+  }
+  return lines;
+}
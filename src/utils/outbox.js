@@ -0,0 +1,119 @@
+/**
+ * Email through the Workers send_email binding (env.SEND_EMAIL)
+ * Messages that cannot be sent right away are stored in the email_outbox table
+ * and retried with backoff by the scheduled handler
+ */
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 5;
+const CLAIM_TIMEOUT_MINUTES = 15;
+const DEFAULT_BATCH_SIZE = 20;
+
+/**
+ * Send a raw MIME message, queueing it for retry if the binding is missing or fails.
+ * Returns { sent, queued } and never throws.
+ */
+export async function sendOrQueueEmail(env, { from, to, subject, raw }) {
+  try {
+    await sendRawEmail(env, { from, to, raw });
+    console.log(`Email sent to ${to}: "${subject}"`);
+    return { sent: true, queued: false };
+  } catch (error) {
+    console.error(`Email send error for "${subject}":`, error.message);
+  }
+
+  if (!env.DB) {
+    console.error('Email could not be queued: database not available');
+    return { sent: false, queued: false };
+  }
+
+  try {
+    await env.DB.prepare(`
+      INSERT INTO email_outbox (sender, recipient, subject, raw, attempts, next_attempt_at)
+      VALUES (?, ?, ?, ?, 1, ?)
+    `).bind(from, to, subject, raw, getRetryTime(1)).run();
+
+    return { sent: false, queued: true };
+  } catch (error) {
+    console.error('Email outbox insert error:', error.message);
+    return { sent: false, queued: false };
+  }
+}
+
+/**
+ * Retry queued messages that are due. Rows are claimed with one UPDATE ... RETURNING
+ * so overlapping cron runs never send the same message twice.
+ */
+export async function retryQueuedEmails(env, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const db = env.DB;
+  const now = new Date().toISOString();
+  const staleBefore = new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+  const result = { attempted: 0, sent: 0, failed: 0 };
+
+  const { results: claimed } = await db.prepare(`
+    UPDATE email_outbox
+    SET status = 'sending', claimed_at = ?, attempts = attempts + 1
+    WHERE id IN (
+      SELECT id FROM email_outbox
+      WHERE (status = 'pending' AND next_attempt_at <= ?)
+         OR (status = 'sending' AND claimed_at < ?)
+      ORDER BY id
+      LIMIT ?
+    )
+    RETURNING id, sender, recipient, subject, raw, attempts
+  `).bind(now, now, staleBefore, batchSize).all();
+
+  for (const email of claimed || []) {
+    result.attempted++;
+
+    try {
+      await sendRawEmail(env, { from: email.sender, to: email.recipient, raw: email.raw });
+
+      await db.prepare(
+        "UPDATE email_outbox SET status = 'sent', error = NULL, sent_at = ? WHERE id = ?"
+      ).bind(new Date().toISOString(), email.id).run();
+
+      result.sent++;
+    } catch (error) {
+      const gaveUp = email.attempts >= MAX_ATTEMPTS;
+
+      await db.prepare(
+        'UPDATE email_outbox SET status = ?, error = ?, next_attempt_at = ? WHERE id = ?'
+      ).bind(
+        gaveUp ? 'failed' : 'pending',
+        String(error.message).substring(0, 500),
+        getRetryTime(email.attempts),
+        email.id
+      ).run();
+
+      console.error(`Queued email ${email.id} ("${email.subject}") failed, attempt ${email.attempts}:`, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+async function sendRawEmail(env, { from, to, raw }) {
+  if (!env.SEND_EMAIL || typeof env.SEND_EMAIL.send !== 'function') {
+    throw new Error('send_email binding (SEND_EMAIL) not configured');
+  }
+
+  await env.SEND_EMAIL.send(await createEmailMessage(from, to, raw));
+}
+
+// EmailMessage only exists in the Workers runtime; elsewhere (fake bindings) a plain object is passed
+async function createEmailMessage(from, to, raw) {
+  try {
+    const { EmailMessage } = await import('cloudflare:email');
+    return new EmailMessage(from, to, raw);
+  } catch (error) {
+    return { from, to, raw };
+  }
+}
+
+// Backoff doubles from RETRY_BASE_MINUTES: 5, 10, 20, 40 minutes
+function getRetryTime(attempts) {
+  const delayMinutes = RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+  return new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+}
@@ -0,0 +1,306 @@
+/**
+ * Spam and abuse protection for the public form endpoints (/api/newsletter, /api/contact)
+ * Checks run cheapest first: per-IP rate limit, honeypot, signed form token and
+ * minimum fill time, disposable email domains, then Turnstile verification.
+ * Form tokens are issued by /api/form-token (never cached) rather than rendered into
+ * the page, so cached HTML cannot carry a stale timestamp; each one is accepted once.
+ * env.TURNSTILE_VERIFIER can be any object with verify(token, remoteIp) to replace the API call;
+ * otherwise tokens are checked with Cloudflare's siteverify API when TURNSTILE_SECRET_KEY is set
+ */
+
+import { HONEYPOT_FIELD, FORM_TOKEN_FIELD, TURNSTILE_FIELD } from '../components/form-protection.js';
+import { signToken, verifyToken } from './tokens.js';
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+// People need at least this long to fill in a form; scripts post instantly
+const MIN_FILL_SECONDS = 3;
+
+// Form tokens older than this are refused; the page fetches a new one before then
+const FORM_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+const FORM_TOKEN_PURPOSE = 'form';
+
+// Submissions allowed per IP in each fixed window
+export const RATE_LIMITS = {
+  newsletter: { limit: 5, windowSeconds: 600 },
+  contact: { limit: 3, windowSeconds: 600 }
+};
+
+// Common throwaway inbox providers; extend with the DISPOSABLE_DOMAINS variable (comma-separated)
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com',
+  'burnermail.io',
+  'discard.email',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'grr.la',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'guerrillamailblock.com',
+  'mailinator.com',
+  'maildrop.cc',
+  'mailnesia.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'tempail.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'tmpmail.org',
+  'trashmail.com',
+  'yopmail.com'
+]);
+
+/**
+ * Run every check for one submission. Returns { allowed: true } or
+ * { allowed: false, reason, status, error, retryAfter, silent }.
+ * Silent verdicts (honeypot, too fast) should get the endpoint's normal
+ * success response so bots cannot tell they were caught.
+ */
+export async function checkSubmission(request, env, data, scope) {
+  const verdict = await evaluateSubmission(request, env, data || {}, scope);
+
+  if (!verdict.allowed) {
+    console.warn(`Blocked ${scope} submission: ${verdict.reason}`);
+  }
+
+  return verdict;
+}
+
+export function createBlockedResponse(verdict) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (verdict.retryAfter) {
+    headers['Retry-After'] = String(verdict.retryAfter);
+  }
+
+  return new Response(JSON.stringify({ error: verdict.error }), {
+    status: verdict.status,
+    headers
+  });
+}
+
+export function isDisposableEmail(email, env) {
+  const domain = String(email || '').trim().toLowerCase().split('@')[1];
+
+  if (!domain) {
+    return false;
+  }
+
+  const extra = (env.DISPOSABLE_DOMAINS || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  const labels = domain.split('.');
+
+  // Match subdomains too (e.g. inbox.mailinator.com)
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (DISPOSABLE_DOMAINS.has(candidate) || extra.includes(candidate)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Signed token recording when a form was loaded. Returns null when no secret is
+ * configured, in which case submissions are not checked for one either
+ */
+export async function issueFormToken(env) {
+  const secret = getFormTokenSecret(env);
+  if (!secret) {
+    return null;
+  }
+
+  const issuedAt = Date.now();
+  return signToken({
+    purpose: FORM_TOKEN_PURPOSE,
+    nonce: crypto.randomUUID(),
+    iat: issuedAt,
+    exp: issuedAt + FORM_TOKEN_TTL_SECONDS * 1000
+  }, secret);
+}
+
+export function getTurnstileVerifier(env) {
+  if (env.TURNSTILE_VERIFIER && typeof env.TURNSTILE_VERIFIER.verify === 'function') {
+    return env.TURNSTILE_VERIFIER;
+  }
+
+  return createSiteverifyClient(env.TURNSTILE_SECRET_KEY);
+}
+
+async function evaluateSubmission(request, env, data, scope) {
+  const rateLimit = await checkRateLimit(request, env, scope);
+  if (!rateLimit.allowed) {
+    return {
+      allowed: false,
+      reason: 'rate_limit',
+      status: 429,
+      error: 'Too many requests. Please try again later.',
+      retryAfter: rateLimit.retryAfter
+    };
+  }
+
+  if (data[HONEYPOT_FIELD]) {
+    return { allowed: false, reason: 'honeypot', silent: true };
+  }
+
+  const formTokenSecret = getFormTokenSecret(env);
+  if (formTokenSecret) {
+    const formToken = await verifyToken(data[FORM_TOKEN_FIELD], formTokenSecret, FORM_TOKEN_PURPOSE);
+
+    if (!formToken || typeof formToken.iat !== 'number' || typeof formToken.nonce !== 'string') {
+      return {
+        allowed: false,
+        reason: 'form_token',
+        status: 403,
+        error: 'This form has expired. Please reload the page and try again.'
+      };
+    }
+
+    if (Date.now() - formToken.iat < MIN_FILL_SECONDS * 1000) {
+      return { allowed: false, reason: 'too_fast', silent: true };
+    }
+
+    // Otherwise one token, waited on once, would pass the fill-time check for every later submission
+    if (!await useFormToken(env, formToken)) {
+      return {
+        allowed: false,
+        reason: 'form_token_reused',
+        status: 403,
+        error: 'This form was already submitted. Please reload the page to send it again.'
+      };
+    }
+  }
+
+  if (isDisposableEmail(data.email, env)) {
+    return {
+      allowed: false,
+      reason: 'disposable_email',
+      status: 400,
+      error: 'Please use a permanent email address.'
+    };
+  }
+
+  if (env.TURNSTILE_SECRET_KEY || env.TURNSTILE_VERIFIER) {
+    const token = data[TURNSTILE_FIELD];
+    const verified = typeof token === 'string' && token.length > 0 &&
+      await verifyTurnstileToken(env, token, request.headers.get('CF-Connecting-IP'));
+
+    if (!verified) {
+      return {
+        allowed: false,
+        reason: 'turnstile',
+        status: 403,
+        error: 'We could not verify that you are human. Please try again.'
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Fixed-window counter per scope and IP hash in D1. The upsert increments and
+ * returns the count in one statement, so concurrent requests cannot both slip under the limit.
+ * Fails open: a database problem should not block real visitors.
+ */
+async function checkRateLimit(request, env, scope) {
+  const rule = RATE_LIMITS[scope];
+
+  if (!env.DB || !rule) {
+    return { allowed: true };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % rule.windowSeconds);
+
+  try {
+    const key = `${scope}:${await hashClientIp(request, env)}`;
+    const row = await env.DB.prepare(`
+      INSERT INTO rate_limits (key, window_start, count) VALUES (?, ?, 1)
+      ON CONFLICT(key, window_start) DO UPDATE SET count = count + 1
+      RETURNING count
+    `).bind(key, windowStart).first();
+
+    if (row && row.count > rule.limit) {
+      return { allowed: false, retryAfter: Math.max(windowStart + rule.windowSeconds - now, 1) };
+    }
+  } catch (error) {
+    console.error('Rate limit check error:', error.message);
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record a form token's nonce; false when it was already recorded. The insert
+ * only returns a row for a new nonce, so concurrent replays cannot both get through.
+ * Fails open like the rate limit.
+ */
+async function useFormToken(env, formToken) {
+  if (!env.DB) {
+    return true;
+  }
+
+  try {
+    const row = await env.DB.prepare(`
+      INSERT INTO used_form_tokens (nonce, expires_at) VALUES (?, ?)
+      ON CONFLICT(nonce) DO NOTHING
+      RETURNING nonce
+    `).bind(formToken.nonce, Math.ceil(formToken.exp / 1000)).first();
+
+    return Boolean(row);
+  } catch (error) {
+    console.error('Form token check error:', error.message);
+    return true;
+  }
+}
+
+// Raw IPs are never stored; RATE_LIMIT_SALT keeps the hashes from being reversed
+async function hashClientIp(request, env) {
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${env.RATE_LIMIT_SALT || env.DOMAIN || ''}:${ip}`));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('').substring(0, 32);
+}
+
+// A dedicated secret is preferred, but the newsletter secret is always set on deployments with forms
+function getFormTokenSecret(env) {
+  return env.FORM_TOKEN_SECRET || env.NEWSLETTER_SECRET;
+}
+
+async function verifyTurnstileToken(env, token, remoteIp) {
+  try {
+    const result = await getTurnstileVerifier(env).verify(token, remoteIp);
+    return result === true || result?.success === true;
+  } catch (error) {
+    console.error('Turnstile verification error:', error.message);
+    return false;
+  }
+}
+
+function createSiteverifyClient(secret) {
+  return {
+    async verify(token, remoteIp) {
+      const body = new FormData();
+      body.append('secret', secret);
+      body.append('response', token);
+      if (remoteIp) {
+        body.append('remoteip', remoteIp);
+      }
+
+      const response = await fetch(TURNSTILE_VERIFY_URL, { method: 'POST', body });
+      if (!response.ok) {
+        throw new Error(`Turnstile siteverify error ${response.status}`);
+      }
+
+      return response.json();
+    }
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * Reverse proxy for WordPress admin paths
+ * Passes every request straight through to WordPress and streams the response back,
+ * rewriting only what ties a session to a host: cookies, redirects, Origin and Referer
+ */
+
+const DEFAULT_WORDPRESS_BASE_URL = 'https://goevergreen9.wordpress.com';
+
+// Headers describing the visitor's connection to Cloudflare, not to WordPress
+const STRIPPED_REQUEST_HEADERS = [
+  'host',
+  'cf-connecting-ip',
+  'cf-ipcountry',
+  'cf-ray',
+  'cf-visitor',
+  'cf-worker',
+  'x-forwarded-for',
+  'x-forwarded-proto',
+  'x-real-ip'
+];
+
+// Cookies Cloudflare sets on our own zone (bot management, challenges)
+const CLOUDFLARE_COOKIE_PATTERN = /^(__cf|cf_)/i;
+
+export async function proxyAdminRequest(request, env) {
+  const requestUrl = new URL(request.url);
+  const wordpressBase = new URL(env.WORDPRESS_BASE_URL || DEFAULT_WORDPRESS_BASE_URL);
+  const basePath = wordpressBase.pathname.replace(/\/+$/, '');
+  const upstreamUrl = `${wordpressBase.origin}${basePath}${requestUrl.pathname}${requestUrl.search}`;
+
+  console.log(`Proxying admin request: ${request.method} ${requestUrl.pathname}`);
+
+  const upstreamResponse = await fetch(upstreamUrl, {
+    method: request.method,
+    headers: buildUpstreamHeaders(request, requestUrl, wordpressBase),
+    body: ['GET', 'HEAD'].includes(request.method) ? undefined : request.body,
+    // Let the browser follow redirects so cookies set along the way are kept
+    redirect: 'manual'
+  });
+
+  const headers = new Headers(upstreamResponse.headers);
+
+  // Each Set-Cookie header has to be rewritten individually
+  headers.delete('Set-Cookie');
+  for (const cookie of getSetCookieHeaders(upstreamResponse.headers)) {
+    headers.append('Set-Cookie', rewriteSetCookie(cookie, requestUrl.hostname, basePath));
+  }
+
+  const location = upstreamResponse.headers.get('Location');
+  if (location) {
+    headers.set('Location', rewriteLocation(location, requestUrl, wordpressBase, basePath));
+  }
+
+  // Stream the body unchanged, HTML or not
+  return new Response(upstreamResponse.body, {
+    status: upstreamResponse.status,
+    statusText: upstreamResponse.statusText,
+    headers
+  });
+}
+
+function buildUpstreamHeaders(request, requestUrl, wordpressBase) {
+  const headers = new Headers();
+
+  for (const [name, value] of request.headers) {
+    if (!STRIPPED_REQUEST_HEADERS.includes(name.toLowerCase())) {
+      headers.set(name, value);
+    }
+  }
+
+  const cookie = rewriteCookieHeader(request.headers.get('Cookie'));
+  if (cookie) {
+    headers.set('Cookie', cookie);
+  } else {
+    headers.delete('Cookie');
+  }
+
+  // WordPress checks these against its own host on logins and form posts
+  for (const name of ['Origin', 'Referer']) {
+    const value = request.headers.get(name);
+    if (value && value.startsWith(requestUrl.origin)) {
+      headers.set(name, wordpressBase.origin + value.slice(requestUrl.origin.length));
+    }
+  }
+
+  headers.set('X-Forwarded-Host', requestUrl.host);
+  headers.set('X-Forwarded-Proto', requestUrl.protocol.replace(':', ''));
+
+  return headers;
+}
+
+// Forward only the WordPress cookies; Cloudflare's own cookies mean nothing upstream
+function rewriteCookieHeader(cookieHeader) {
+  if (!cookieHeader) {
+    return '';
+  }
+
+  return cookieHeader
+    .split(';')
+    .map(cookie => cookie.trim())
+    .filter(cookie => cookie && !CLOUDFLARE_COOKIE_PATTERN.test(cookie))
+    .join('; ');
+}
+
+function getSetCookieHeaders(headers) {
+  if (typeof headers.getSetCookie === 'function') {
+    return headers.getSetCookie();
+  }
+
+  // Older Workers runtimes only expose multiple Set-Cookie values through getAll
+  if (typeof headers.getAll === 'function') {
+    return headers.getAll('Set-Cookie');
+  }
+
+  const cookie = headers.get('Set-Cookie');
+  return cookie ? [cookie] : [];
+}
+
+function rewriteSetCookie(cookie, hostname, basePath) {
+  return cookie
+    .split(';')
+    .map(part => {
+      const attribute = part.trim();
+      const [name] = attribute.split('=');
+
+      switch (name.toLowerCase()) {
+        case 'domain':
+          return ` Domain=${hostname}`;
+        case 'path': {
+          const path = attribute.slice(attribute.indexOf('=') + 1);
+          const rewritten = basePath && path.startsWith(basePath) ? path.slice(basePath.length) : path;
+          return ` Path=${rewritten || '/'}`;
+        }
+        default:
+          return part;
+      }
+    })
+    .join(';');
+}
+
+function rewriteLocation(location, requestUrl, wordpressBase, basePath) {
+  try {
+    const target = new URL(location, wordpressBase);
+
+    // Redirects off the WordPress host (e.g. wordpress.com login) are left alone
+    if (target.host !== wordpressBase.host) {
+      return location;
+    }
+
+    const path = basePath && target.pathname.startsWith(basePath)
+      ? target.pathname.slice(basePath.length)
+      : target.pathname;
+
+    return `${requestUrl.origin}${path || '/'}${target.search}${target.hash}`;
+  } catch (error) {
+    console.error('Location rewrite error:', error.message);
+    return location;
+  }
+}
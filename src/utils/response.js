@@ -1,14 +1,17 @@
 /**
  * Response utilities for creating custom HTML responses
  * with proper SEO optimization and branding
- * Now includes admin panel support and improved newsletter handling
+ * Now includes improved newsletter handling
  */
 
 import { generateHeader, getHeaderStyles, getHeaderJS } from '../components/header.js';
 import { generateFooter, getFooterStyles } from '../components/footer.js';
+import { getBlogStyles } from '../components/blog.js';
+import { getContactFormStyles, getContactFormJS } from '../components/contact-form.js';
+import { generateFormProtectionFields, getTurnstileScript, getFormProtectionJS, getFormProtectionStyles } from '../components/form-protection.js';
 
 export function createCustomResponse(contentData, pathname, env) {
-  const { content, title, description, route } = contentData;
+  const { content, title, description, route, status = 200, noindex = false } = contentData;
   
   const html = generateHTMLTemplate({
     title,
@@ -16,10 +19,13 @@ export function createCustomResponse(contentData, pathname, env) {
     content,
     pathname,
     contactEmail: env.CONTACT_EMAIL || 'info@goevergreen.shop',
-    domain: env.DOMAIN || 'goevergreen.shop'
+    domain: env.DOMAIN || 'goevergreen.shop',
+    turnstileSiteKey: env.TURNSTILE_SITE_KEY,
+    robots: status === 200 && !noindex ? 'index, follow' : 'noindex, follow'
   });
   
   return new Response(html, {
+    status,
     headers: {
       'Content-Type': 'text/html; charset=utf-8',
       'Cache-Control': 'public, max-age=300, s-maxage=3600',
@@ -31,71 +37,14 @@ export function createCustomResponse(contentData, pathname, env) {
   });
 }
 
-export function createAdminResponse(contentData, pathname, env) {
-  const { content, title, description, cookies } = contentData;
-  
-  // For admin pages, return minimal HTML with preserved WordPress admin structure
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${escapeHtml(title || 'GoEvergreen Admin')}</title>
-    <meta name="robots" content="noindex, nofollow">
-    
-    <!-- Preserve WordPress admin styles and scripts -->
-    ${extractWordPressAssets(content)}
-</head>
-<body class="wp-admin">
-    ${content}
-</body>
-</html>`;
-  
-  const response = new Response(html, {
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'X-Content-Type-Options': 'nosniff',
-      'X-Frame-Options': 'SAMEORIGIN'
-    }
-  });
-  
-  // Forward any cookies from WordPress
-  if (cookies) {
-    response.headers.set('Set-Cookie', cookies);
-  }
-  
-  return response;
-}
-
-function extractWordPressAssets(html) {
-  // Extract CSS and JS from WordPress admin
-  const assets = [];
-  
-  // Extract stylesheets
-  const cssRegex = /<link[^>]+rel=["']stylesheet["'][^>]*>/gi;
-  let match;
-  while ((match = cssRegex.exec(html)) !== null) {
-    assets.push(match[0]);
-  }
-  
-  // Extract scripts
-  const jsRegex = /<script[^>]*src=[^>]*><\/script>/gi;
-  while ((match = jsRegex.exec(html)) !== null) {
-    assets.push(match[0]);
-  }
-  
-  return assets.join('\n    ');
-}
-
-function generateHTMLTemplate({ title, description, content, pathname, contactEmail, domain }) {
+function generateHTMLTemplate({ title, description, content, pathname, contactEmail, domain, turnstileSiteKey, robots = 'index, follow' }) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <meta name="description" content="${escapeHtml(description)}">
-    <meta name="robots" content="index, follow">
+    <meta name="robots" content="${robots}">
     <meta name="author" content="GoEvergreen">
     
     <!-- SEO Meta Tags -->
@@ -135,12 +84,21 @@ function generateHTMLTemplate({ title, description, content, pathname, contactEm
     <link rel="shortcut icon" href="/favicon.ico">
     <link rel="apple-touch-icon" href="/assets/favicon.ico">
     
+    <!-- Blog Feeds -->
+    <link rel="alternate" type="application/rss+xml" title="GoEvergreen RSS Feed" href="https://${domain}/feed">
+    <link rel="alternate" type="application/atom+xml" title="GoEvergreen Atom Feed" href="https://${domain}/feed/atom">
+    <link rel="alternate" type="application/feed+json" title="GoEvergreen JSON Feed" href="https://${domain}/feed.json">
+    
     <!-- Styles -->
     <style>
         ${getCustomCSS()}
         ${getHeaderStyles()}
         ${getFooterStyles()}
+        ${getBlogStyles()}
+        ${getContactFormStyles()}
+        ${getFormProtectionStyles()}
     </style>
+    ${getTurnstileScript({ TURNSTILE_SITE_KEY: turnstileSiteKey })}
 </head>
 <body>
     ${generateHeader(pathname, { DOMAIN: domain, CONTACT_EMAIL: contactEmail })}
@@ -158,27 +116,31 @@ function generateHTMLTemplate({ title, description, content, pathname, contactEm
             <div id="newsletter-form-container">
                 <h2>Subscribe for Expert Wellness Guidance</h2>
                 <p>Get personalized health tips, workout routines, and nutrition advice delivered to your inbox.</p>
-                <form class="newsletter-form" id="newsletterForm">
+                <form class="newsletter-form" id="newsletterForm" data-newsletter-form data-source="main"
+                      data-container="#newsletter-form-container" data-success="#newsletter-success" data-message="#newsletter-message">
                     <input type="email" name="email" placeholder="Enter your email" required>
                     <input type="text" name="name" placeholder="Your name (optional)">
+                    ${generateFormProtectionFields({ TURNSTILE_SITE_KEY: turnstileSiteKey })}
                     <button type="submit">Subscribe Now</button>
                 </form>
             </div>
             <div id="newsletter-success" class="newsletter-success" style="display: none;">
-                <h2>✅ Successfully Subscribed!</h2>
-                <p>Thank you for joining our wellness community! Check your email for a confirmation message.</p>
+                <h2>📬 Please Confirm Your Email</h2>
+                <p>Thank you for joining our wellness community! We've sent you a confirmation link - click it to complete your subscription.</p>
                 <p>You'll receive expert wellness tips, fitness guidance, and nutrition advice tailored specifically for women.</p>
             </div>
             <div id="newsletter-message" class="form-message"></div>
         </div>
     </section>
     
-    ${generateFooter(pathname, { DOMAIN: domain, CONTACT_EMAIL: contactEmail })}
+    ${generateFooter(pathname, { DOMAIN: domain, CONTACT_EMAIL: contactEmail, TURNSTILE_SITE_KEY: turnstileSiteKey })}
     
     <!-- JavaScript -->
     <script>
         ${getHeaderJS()}
+        ${getFormProtectionJS()}
         ${getCustomJS()}
+        ${getContactFormJS()}
     </script>
 </body>
 </html>`;
@@ -478,6 +440,46 @@ function getCustomCSS() {
         color: #5a6b5d;
     }
     
+    /* WordPress entries (REST API content) */
+    .wp-entry {
+        background: white;
+        padding: 3rem;
+        border-radius: 15px;
+        box-shadow: 0 5px 25px rgba(122, 155, 142, 0.1);
+        margin: 2rem 0;
+    }
+    
+    .wp-entry-header h1 {
+        color: #2c3e35;
+        font-size: 2.4rem;
+        margin-bottom: 1.5rem;
+    }
+    
+    .wp-entry-image {
+        width: 100%;
+        height: auto;
+        border-radius: 10px;
+        margin-bottom: 2rem;
+    }
+    
+    .wp-entry-content p,
+    .wp-entry-content ul,
+    .wp-entry-content ol {
+        margin-bottom: 1rem;
+        color: #2c3e35;
+    }
+    
+    .wp-entry-content h2,
+    .wp-entry-content h3 {
+        color: #7a9b8e;
+        margin: 2rem 0 1rem;
+    }
+    
+    .wp-entry-content img {
+        max-width: 100%;
+        height: auto;
+    }
+    
     /* Responsive Design */
     @media (max-width: 768px) {
         .newsletter-form {
@@ -524,7 +526,8 @@ function getCustomCSS() {
         .feature,
         .guide-card,
         .benefit-card,
-        .contact-method {
+        .contact-method,
+        .wp-entry {
             padding: 1.5rem;
         }
     }
@@ -533,27 +536,43 @@ function getCustomCSS() {
 
 function getCustomJS() {
   return `
-    // Newsletter form handling with improved UX
+    // Newsletter signup client shared by every [data-newsletter-form]
+    // data-source names the form for the subscriber record; data-container, data-success
+    // and data-message point at the elements to hide, reveal and fill with errors
     document.addEventListener('DOMContentLoaded', function() {
-        const newsletterForm = document.getElementById('newsletterForm');
-        if (newsletterForm) {
-            newsletterForm.addEventListener('submit', async function(e) {
-                e.preventDefault();
-                
-                const messageDiv = document.getElementById('newsletter-message');
-                const formContainer = document.getElementById('newsletter-form-container');
-                const successContainer = document.getElementById('newsletter-success');
-                const submitButton = this.querySelector('button[type="submit"]');
+        document.querySelectorAll('form[data-newsletter-form]').forEach(function(form) {
+            const formContainer = document.querySelector(form.dataset.container);
+            const successContainer = document.querySelector(form.dataset.success);
+            const messageDiv = document.querySelector(form.dataset.message);
+            const submitButton = form.querySelector('button[type="submit"]');
+            const buttonLabel = submitButton.textContent;
+            
+            function showError(message) {
+                if (messageDiv) {
+                    messageDiv.textContent = message;
+                    messageDiv.className = 'form-message error';
+                    messageDiv.style.display = 'block';
+                }
                 
-                const email = this.email.value;
-                const name = this.name.value;
+                // Re-enable submit button
+                submitButton.disabled = false;
+                submitButton.textContent = buttonLabel;
+                form.removeAttribute('aria-busy');
+                resetFormProtection(form);
+            }
+            
+            form.addEventListener('submit', async function(e) {
+                e.preventDefault();
                 
                 // Disable submit button
                 submitButton.disabled = true;
                 submitButton.textContent = 'Subscribing...';
+                form.setAttribute('aria-busy', 'true');
                 
                 // Hide any previous messages
-                messageDiv.style.display = 'none';
+                if (messageDiv) {
+                    messageDiv.style.display = 'none';
+                }
                 
                 try {
                     const response = await fetch('/api/newsletter', {
@@ -561,47 +580,43 @@ function getCustomJS() {
                         headers: {
                             'Content-Type': 'application/json'
                         },
-                        body: JSON.stringify({ email, name })
+                        // form.name is the form's own name attribute, so read the field via elements
+                        body: JSON.stringify(Object.assign({
+                            email: form.elements.namedItem('email').value,
+                            name: form.elements.namedItem('name') ? form.elements.namedItem('name').value : '',
+                            source: form.dataset.source
+                        }, await getFormProtectionData(form)))
                     });
                     
-                    const result = await response.json();
+                    const result = await response.json().catch(function() {
+                        return {};
+                    });
                     
-                    if (result.success) {
+                    if (response.ok && result.success) {
                         // Hide form and show success message
-                        formContainer.style.display = 'none';
-                        successContainer.style.display = 'block';
-                        
-                        // Add celebration effect
-                        successContainer.style.animation = 'slideIn 0.5s ease-out';
+                        if (formContainer) {
+                            formContainer.style.display = 'none';
+                        }
+                        if (successContainer) {
+                            successContainer.style.display = 'block';
+                            successContainer.style.animation = 'slideIn 0.5s ease-out';
+                        }
                         
                         // Track subscription event
                         if (typeof gtag !== 'undefined') {
                             gtag('event', 'newsletter_subscription', {
                                 event_category: 'engagement',
-                                event_label: 'newsletter_form'
+                                event_label: form.dataset.source
                             });
                         }
-                        
                     } else {
-                        messageDiv.textContent = result.error || 'Subscription failed. Please try again.';
-                        messageDiv.className = 'form-message error';
-                        messageDiv.style.display = 'block';
-                        
-                        // Re-enable submit button
-                        submitButton.disabled = false;
-                        submitButton.textContent = 'Subscribe Now';
+                        showError(result.error || 'Subscription failed. Please try again.');
                     }
                 } catch (error) {
-                    messageDiv.textContent = 'Network error. Please check your connection and try again.';
-                    messageDiv.className = 'form-message error';
-                    messageDiv.style.display = 'block';
-                    
-                    // Re-enable submit button
-                    submitButton.disabled = false;
-                    submitButton.textContent = 'Subscribe Now';
+                    showError('Network error. Please check your connection and try again.');
                 }
             });
-        }
+        });
     });
     
     // Add CSS animation for success message
@@ -651,42 +666,154 @@ function getCustomJS() {
     }
     
     // Track page views
-    trackEvent('page_view', {
-        path: window.location.pathname,
-        timestamp: new Date().toISOString(),
-        userAgent: navigator.userAgent.substring(0, 100)
-    });
+    trackEvent('page_view', {});
     
-    // Track scroll depth
-    let maxScroll = 0;
+    // Track scroll depth, once per threshold
+    const scrollThresholds = [75, 90];
     window.addEventListener('scroll', function() {
         const scrollPercent = Math.round((window.scrollY / (document.body.scrollHeight - window.innerHeight)) * 100);
-        if (scrollPercent > maxScroll) {
-            maxScroll = scrollPercent;
-            if (maxScroll >= 75 && maxScroll < 80) {
-                trackEvent('scroll_depth', { depth: '75%' });
-            } else if (maxScroll >= 90) {
-                trackEvent('scroll_depth', { depth: '90%' });
-            }
+        while (scrollThresholds.length > 0 && scrollPercent >= scrollThresholds[0]) {
+            trackEvent('scroll_depth', { depth: scrollThresholds.shift() + '%' });
         }
     });
     
     // Track link clicks
     document.addEventListener('click', function(e) {
-        if (e.target.tagName === 'A') {
-            const href = e.target.getAttribute('href');
+        const link = e.target.closest ? e.target.closest('a') : null;
+        if (link) {
+            const href = link.getAttribute('href');
             if (href && href.startsWith('http') && !href.includes(window.location.hostname)) {
                 trackEvent('external_link_click', {
                     url: href,
-                    text: e.target.textContent.trim().substring(0, 50)
+                    text: link.textContent.trim().substring(0, 50)
                 });
             }
         }
     });
+    
+    // Core Web Vitals (LCP, CLS, INP, TTFB), sent once when the page is hidden
+    (function() {
+        if (!('PerformanceObserver' in window) || !navigator.sendBeacon) {
+            return;
+        }
+        
+        const vitals = {};
+        const supportedTypes = PerformanceObserver.supportedEntryTypes || [];
+        
+        function observe(type, callback, options) {
+            if (supportedTypes.indexOf(type) === -1) {
+                return;
+            }
+            try {
+                new PerformanceObserver(function(list) {
+                    list.getEntries().forEach(callback);
+                }).observe(Object.assign({ type: type, buffered: true }, options || {}));
+            } catch (error) {
+                // Older browsers reject some observer options
+            }
+        }
+        
+        // Largest Contentful Paint: the latest candidate
+        observe('largest-contentful-paint', function(entry) {
+            vitals.LCP = entry.startTime;
+        });
+        
+        // Cumulative Layout Shift: the worst window of shifts less than 1s apart, at most 5s long
+        let shiftWindow = 0;
+        let shiftWindowStart = 0;
+        let lastShift = 0;
+        observe('layout-shift', function(entry) {
+            if (entry.hadRecentInput) {
+                return;
+            }
+            if (entry.startTime - lastShift > 1000 || entry.startTime - shiftWindowStart > 5000) {
+                shiftWindow = 0;
+                shiftWindowStart = entry.startTime;
+            }
+            shiftWindow += entry.value;
+            lastShift = entry.startTime;
+            vitals.CLS = Math.max(vitals.CLS || 0, shiftWindow);
+        });
+        
+        // Interaction to Next Paint: the slowest interaction, skipping one outlier per 50
+        const interactions = {};
+        observe('event', function(entry) {
+            if (entry.interactionId) {
+                interactions[entry.interactionId] = Math.max(interactions[entry.interactionId] || 0, entry.duration);
+            }
+        }, { durationThreshold: 40 });
+        
+        // Time to First Byte
+        const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+        if (navigation && navigation.responseStart > 0) {
+            vitals.TTFB = navigation.responseStart;
+        }
+        
+        let vitalsSent = false;
+        function sendVitals(event) {
+            if (vitalsSent || (event.type === 'visibilitychange' && document.visibilityState !== 'hidden')) {
+                return;
+            }
+            
+            const durations = Object.keys(interactions).map(function(id) {
+                return interactions[id];
+            }).sort(function(a, b) {
+                return b - a;
+            });
+            if (durations.length > 0) {
+                vitals.INP = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+            }
+            
+            if (Object.keys(vitals).length === 0) {
+                return;
+            }
+            
+            vitalsSent = true;
+            navigator.sendBeacon('/api/analytics/vitals', JSON.stringify({
+                path: window.location.pathname,
+                metrics: vitals
+            }));
+        }
+        
+        document.addEventListener('visibilitychange', sendVitals);
+        window.addEventListener('pagehide', sendVitals);
+    })();
   `;
 }
 
-function escapeHtml(text) {
+// JSON API helpers shared by the handlers
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Browsers only send application/json cross-site after a CORS preflight, which this
+ * Worker never answers, so requiring it keeps other sites from submitting with a
+ * visitor's cookies (text/plain and form posts need no preflight)
+ */
+export function isJsonRequest(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  return contentType.split(';')[0].trim().toLowerCase() === 'application/json';
+}
+
+// The parsed body, or null when it is not sent as JSON or is not a JSON object
+export async function readJsonObject(request) {
+  if (!isJsonRequest(request)) {
+    return null;
+  }
+
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function escapeHtml(text) {
   const map = {
     '&': '&amp;',
     '<': '&lt;',
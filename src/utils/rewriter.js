@@ -0,0 +1,362 @@
+/**
+ * HTML transforms built on Cloudflare's HTMLRewriter
+ * Cleans WordPress.com pages (branding, admin bar, subscribe forms, links),
+ * collects their CSS and selects the main content without regex scraping.
+ * The page is rewritten and read as one stream; only the main-content candidates
+ * still in the running are kept in memory (see transformWordPressPage).
+ */
+
+const DEFAULT_WORDPRESS_BASE_URL = 'https://goevergreen9.wordpress.com';
+
+// Elements removed from public pages
+const REMOVED_SELECTORS = [
+  '#wpadminbar',
+  '#actionbar',
+  '#marketingbar',
+  '.marketing-bar',
+  'script[src*="wp-admin"]',
+  'form[class*="subscribe"]',
+  '.wp-block-jetpack-subscriptions',
+  '.jetpack_subscription_widget',
+  // Jetpack contact forms post back to WordPress; /contact-us renders its own form
+  '.wp-block-jetpack-contact-form',
+  'form.contact-form',
+  // Site chrome - GoEvergreen renders its own header, footer and navigation
+  'header.site-header',
+  'header#masthead',
+  'header.wp-block-template-part',
+  'footer.site-footer',
+  'footer#colophon',
+  'footer.wp-block-template-part',
+  'nav[class*="main"]'
+];
+
+// WordPress.com promotional text that is not wrapped in a removable element
+const BRANDING_PHRASES = [
+  'Create a website or blog at WordPress.com',
+  'Powered by WordPress.com',
+  'Design a site like this with WordPress.com'
+];
+
+// Candidate containers for the main content, highest priority first
+const MAIN_CONTENT_SELECTORS = [
+  'main',
+  'article',
+  'div[class*="entry-content"]',
+  'div[class*="post-content"]',
+  'div[class*="content"]',
+  'div#content',
+  'section[class*="content"]',
+  'body'
+];
+
+const MIN_CONTENT_LENGTH = 100;
+const MARKER_PATTERN = /<!--ge-main:(\d+):(start|end)-->/g;
+// Longer than any marker, so a trailing "<" further back than this cannot start one
+const MAX_MARKER_LENGTH = 32;
+const LINK_ATTRIBUTES = ['href', 'src', 'srcset', 'action'];
+
+/**
+ * Transform a WordPress page response into the pieces used by the site template.
+ * The page goes through a single HTMLRewriter pass that places marker comments
+ * around each main-content candidate, so nested markup is kept intact.
+ *
+ * The rewritten stream is read chunk by chunk and everything outside the open
+ * candidates is dropped as it passes (see readMainContent). The selected content is
+ * still returned as a string, because the page cache and template store it as one.
+ */
+export async function transformWordPressPage(response, env) {
+  const page = {
+    title: '',
+    description: '',
+    cssLinks: [],
+    inlineStyles: []
+  };
+
+  const replaceDomain = createDomainReplacer(env);
+  const textCleaner = new TextCleaner(replaceDomain);
+  let rewriter = new HTMLRewriter();
+
+  for (const selector of REMOVED_SELECTORS) {
+    rewriter = rewriter.on(selector, { element: element => element.remove() });
+  }
+
+  rewriter = addLinkRewriting(rewriter, replaceDomain)
+    .on('script', { element: element => textCleaner.skip(element) })
+    .on('style', { element: element => textCleaner.skip(element) })
+    .onDocument({ text: text => textCleaner.text(text) })
+    .on('title', { text: text => { page.title += text.text; } })
+    .on('meta[name="description"]', {
+      element: element => {
+        page.description = element.getAttribute('content') || '';
+      }
+    })
+    .on('link[rel="stylesheet"]', { element: element => collectStylesheet(element, page) })
+    .on('style', new InlineStyleCollector(page));
+
+  MAIN_CONTENT_SELECTORS.forEach((selector, index) => {
+    rewriter = rewriter.on(selector, new MainContentMarker(index));
+  });
+
+  const { isEmpty, content } = await readMainContent(rewriter.transform(response).body);
+
+  return {
+    isEmpty,
+    content,
+    title: page.title.trim(),
+    description: page.description.trim(),
+    cssLinks: page.cssLinks,
+    inlineStyles: page.inlineStyles.join('\n').trim()
+  };
+}
+
+/**
+ * Rewrite WordPress.com links inside an HTML fragment to the custom domain
+ */
+export async function rewriteContentLinks(html, env) {
+  const rewriter = addLinkRewriting(new HTMLRewriter(), createDomainReplacer(env));
+  return rewriter.transform(new Response(html)).text();
+}
+
+function addLinkRewriting(rewriter, replaceDomain) {
+  for (const attribute of LINK_ATTRIBUTES) {
+    rewriter = rewriter.on(`[${attribute}]`, {
+      element: element => {
+        const value = element.getAttribute(attribute);
+        const rewritten = replaceDomain(value);
+        if (rewritten !== value) {
+          element.setAttribute(attribute, rewritten);
+        }
+      }
+    });
+  }
+
+  return rewriter;
+}
+
+// Replaces branding and the WordPress.com host in page text. Chunks are held back
+// until lastInTextNode so a phrase or hostname split across chunks still matches;
+// script and style contents are left alone.
+class TextCleaner {
+  constructor(replaceDomain) {
+    this.replaceDomain = replaceDomain;
+    this.buffer = '';
+    this.held = false;
+    this.skipping = false;
+  }
+
+  skip(element) {
+    if (element.removed) {
+      return;
+    }
+
+    this.skipping = true;
+    element.onEndTag(() => {
+      this.skipping = false;
+    });
+  }
+
+  text(text) {
+    if (this.skipping) {
+      return;
+    }
+
+    this.buffer += text.text;
+
+    if (!text.lastInTextNode) {
+      this.held = true;
+      text.remove();
+      return;
+    }
+
+    const original = this.buffer;
+    let updated = this.replaceDomain(original);
+
+    for (const phrase of BRANDING_PHRASES) {
+      updated = updated.split(phrase).join('');
+    }
+
+    if (this.held || updated !== original) {
+      text.replace(updated, { html: true });
+    }
+
+    this.buffer = '';
+    this.held = false;
+  }
+}
+
+function createDomainReplacer(env) {
+  const domain = env.DOMAIN || 'goevergreen.shop';
+  const wordpressHost = new URL(env.WORDPRESS_BASE_URL || DEFAULT_WORDPRESS_BASE_URL).host;
+
+  return value => value
+    .split(`https://${wordpressHost}`).join(`https://${domain}`)
+    .split(`http://${wordpressHost}`).join(`https://${domain}`)
+    .split(wordpressHost).join(domain);
+}
+
+function collectStylesheet(element, page) {
+  const href = element.getAttribute('href') || '';
+
+  // Admin and login styles are only useful inside wp-admin
+  if (!href || href.includes('wp-admin') || href.includes('login')) {
+    return;
+  }
+
+  // Serve WordPress.com hosted stylesheets through the worker
+  const localHref = href.replace(/^https?:\/\/[^\/\s"']+\.wordpress\.com/i, '');
+  const media = element.getAttribute('media');
+
+  page.cssLinks.push(
+    `<link rel="stylesheet" href="${escapeAttribute(localHref)}"${media ? ` media="${escapeAttribute(media)}"` : ''}>`
+  );
+}
+
+class InlineStyleCollector {
+  constructor(page) {
+    this.page = page;
+    this.buffer = '';
+  }
+
+  element(element) {
+    this.buffer = '';
+    element.onEndTag(() => {
+      // Skip admin-specific styles
+      if (!this.buffer.includes('wp-admin') && !this.buffer.includes('#wpadminbar')) {
+        this.page.inlineStyles.push(this.buffer);
+      }
+    });
+  }
+
+  text(text) {
+    this.buffer += text.text;
+  }
+}
+
+// Marks the first element matching a candidate selector; onEndTag fires on the
+// element's own closing tag, so nested </div>s no longer cut the content short
+class MainContentMarker {
+  constructor(index) {
+    this.index = index;
+    this.marked = false;
+  }
+
+  element(element) {
+    if (this.marked) {
+      return;
+    }
+
+    this.marked = true;
+    element.prepend(getMarker(this.index, 'start'), { html: true });
+    element.onEndTag(endTag => {
+      endTag.before(getMarker(this.index, 'end'), { html: true });
+    });
+  }
+}
+
+/**
+ * Read the rewritten page and return the highest-priority candidate with enough
+ * content. Text is only kept while a candidate is open, and candidates ranked
+ * below one that already qualified are dropped, so the rest of the page streams
+ * past (through the CSS and title collectors) without being held
+ */
+async function readMainContent(body) {
+  const state = { captured: '', open: new Map(), content: '', selectedIndex: Infinity, isEmpty: true };
+  let pending = '';
+
+  if (body) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      if (state.isEmpty && value.trim()) {
+        state.isEmpty = false;
+      }
+
+      // A marker can be split across chunks; hold back a trailing unfinished tag
+      pending += value;
+      const cut = pending.lastIndexOf('<');
+      const keep = cut !== -1 && pending.length - cut < MAX_MARKER_LENGTH && !pending.includes('>', cut) ? cut : pending.length;
+      consumeMarkedHtml(state, pending.slice(0, keep));
+      pending = pending.slice(keep);
+    }
+  }
+
+  consumeMarkedHtml(state, pending);
+  return { isEmpty: state.isEmpty, content: state.content };
+}
+
+// Candidates share one captured string; each open one records where it starts
+function consumeMarkedHtml(state, html) {
+  let last = 0;
+
+  for (const match of html.matchAll(MARKER_PATTERN)) {
+    captureText(state, html.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const index = Number(match[1]);
+
+    if (match[2] === 'start') {
+      if (index < state.selectedIndex) {
+        state.open.set(index, state.captured.length);
+      }
+      continue;
+    }
+
+    if (!state.open.has(index)) {
+      continue;
+    }
+
+    const content = state.captured.slice(state.open.get(index)).trim();
+    state.open.delete(index);
+
+    if (content.length > MIN_CONTENT_LENGTH) {
+      state.content = content;
+      state.selectedIndex = index;
+
+      for (const other of state.open.keys()) {
+        if (other > index) {
+          state.open.delete(other);
+        }
+      }
+    }
+
+    trimCaptured(state);
+  }
+
+  captureText(state, html.slice(last));
+}
+
+function captureText(state, text) {
+  if (state.open.size > 0) {
+    state.captured += text;
+  }
+}
+
+// Drop captured text that no open candidate starts before
+function trimCaptured(state) {
+  if (state.open.size === 0) {
+    state.captured = '';
+    return;
+  }
+
+  const first = Math.min(...state.open.values());
+  if (first > 0) {
+    state.captured = state.captured.slice(first);
+    for (const [index, offset] of state.open) {
+      state.open.set(index, offset - first);
+    }
+  }
+}
+
+function getMarker(index, position) {
+  return `<!--ge-main:${index}:${position}-->`;
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&(?!amp;|#\d+;|[a-z]+;)/gi, '&amp;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,438 @@
+/**
+ * Sitemap utilities
+ * Builds a sitemap index with child sitemaps for pages, posts, categories and images
+ * from WordPress content, stores the entries in D1 and submits changed URLs to IndexNow
+ */
+
+import { fetchWordPressAPI, getRouteFromLink, toISODate } from './wordpress-api.js';
+
+const MAX_URLS_PER_SITEMAP = 50000;
+const API_PAGE_SIZE = 100;
+const SITEMAP_TYPES = ['pages', 'posts', 'categories', 'images'];
+const SITEMAP_NAME_PATTERN = /^\/sitemap(?:-(pages|posts|categories|images)(?:-(\d+))?)?\.xml$/;
+
+// Rows per staging INSERT and INSERTs per db.batch, to stay within D1's limits on
+// statement size and queries per invocation
+const ROWS_PER_INSERT = 500;
+const INSERTS_PER_BATCH = 20;
+const STAGING_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Shared IndexNow endpoint (Bing, Yandex, Seznam, Naver...). Google and Bing retired their
+// sitemap ping URLs; Google reads the sitemap submitted in Search Console instead
+const INDEXNOW_ENDPOINT = 'https://api.indexnow.org/indexnow';
+const INDEXNOW_MAX_URLS = 10000;
+const INDEXNOW_KEY_PATTERN = /^[a-zA-Z0-9-]{8,128}$/;
+
+export function isSitemapPath(pathname) {
+  return SITEMAP_NAME_PATTERN.test(pathname);
+}
+
+/**
+ * Render /sitemap.xml (the index) or one child sitemap such as /sitemap-posts-2.xml.
+ * staticRoutes maps worker paths to WordPress routes (the router's ROUTES table).
+ * Returns null for child sitemaps that do not exist.
+ */
+export async function renderSitemap(pathname, env, staticRoutes) {
+  const [, type, chunk] = pathname.match(SITEMAP_NAME_PATTERN) || [];
+  const baseUrl = `https://${env.DOMAIN || 'goevergreen.shop'}`;
+  const store = await getSitemapStore(env, staticRoutes);
+
+  if (!type) {
+    return renderSitemapIndex(await store.getSummary(), baseUrl);
+  }
+
+  const page = chunk ? parseInt(chunk, 10) : 1;
+  if (page < 1) {
+    return null;
+  }
+
+  const entries = await store.getEntries(type, (page - 1) * MAX_URLS_PER_SITEMAP, MAX_URLS_PER_SITEMAP);
+  if (entries.length === 0 && page > 1) {
+    return null;
+  }
+
+  return renderUrlSet(entries, baseUrl, type === 'images');
+}
+
+/**
+ * Rebuild every sitemap from WordPress and store the entries in D1.
+ * Used by the scheduled handler; returns the number of URLs per sitemap type and
+ * the paths modified since the previous run (or the last day when none is stored).
+ * Throws when WordPress could not be read, leaving the stored sitemap in place.
+ */
+export async function regenerateSitemaps(env, staticRoutes) {
+  const { entries, complete } = await collectSitemapEntries(env, staticRoutes);
+
+  if (!complete) {
+    throw new Error('WordPress content unavailable; keeping the stored sitemap');
+  }
+
+  let since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+  if (env.DB) {
+    const previous = await env.DB.prepare('SELECT MAX(generated_at) as generated_at FROM sitemap_entries').first();
+    since = previous?.generated_at || since;
+    await storeSitemapEntries(env.DB, entries);
+  }
+
+  const counts = Object.fromEntries(SITEMAP_TYPES.map(type => [type, entries[type].length]));
+  const modified = ['pages', 'posts', 'categories']
+    .flatMap(type => entries[type])
+    .filter(entry => entry.lastmod && entry.lastmod > since)
+    .map(entry => entry.loc);
+
+  console.log('Sitemaps regenerated:', counts);
+  return { counts, modified };
+}
+
+/**
+ * Submit changed paths to IndexNow. Needs INDEXNOW_KEY, which the router serves
+ * at /<key>.txt so search engines can check we own the host.
+ * fetcher defaults to fetch and can be replaced, e.g. by a mock in tests.
+ */
+export async function submitToIndexNow(paths, env, { fetcher = fetch, endpoint = INDEXNOW_ENDPOINT } = {}) {
+  const key = env.INDEXNOW_KEY;
+
+  if (!isIndexNowKey(key)) {
+    console.log('IndexNow submission skipped: INDEXNOW_KEY is not set');
+    return { ok: false, skipped: true, submitted: 0 };
+  }
+
+  if (paths.length === 0) {
+    return { ok: true, submitted: 0 };
+  }
+
+  const host = env.DOMAIN || 'goevergreen.shop';
+  const urlList = paths.slice(0, INDEXNOW_MAX_URLS).map(path => `https://${host}${path}`);
+
+  try {
+    const response = await fetcher(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'User-Agent': 'GoEvergreen-Proxy/1.0 (Wellness Website)'
+      },
+      body: JSON.stringify({ host, key, keyLocation: `https://${host}/${key}.txt`, urlList })
+    });
+
+    // 200 and 202 both mean accepted
+    const result = { ok: response.ok, status: response.status, submitted: response.ok ? urlList.length : 0 };
+    console.log('IndexNow submission:', result);
+    return result;
+  } catch (error) {
+    console.error('IndexNow submission failed:', error.message);
+    return { ok: false, error: error.message, submitted: 0 };
+  }
+}
+
+export function isIndexNowKey(key) {
+  return typeof key === 'string' && INDEXNOW_KEY_PATTERN.test(key);
+}
+
+// Entries come from D1 when available, otherwise they are collected from WordPress
+// for this request only. Before the first cron rebuild, D1 is empty and only the worker
+// routes are listed; crawling WordPress inside a crawler's request is left to the cron
+async function getSitemapStore(env, staticRoutes) {
+  if (env.DB) {
+    try {
+      const summary = await getStoredSummary(env.DB);
+
+      if (summary.length === 0) {
+        return createMemoryStore({
+          pages: [...createStaticPageEntries(staticRoutes, null).values()],
+          posts: [],
+          categories: [],
+          images: []
+        });
+      }
+
+      return {
+        getSummary: () => getStoredSummary(env.DB),
+        getEntries: (type, offset, limit) => getStoredEntries(env.DB, type, offset, limit)
+      };
+    } catch (error) {
+      console.error('Stored sitemap read error:', error.message);
+    }
+  }
+
+  const { entries } = await collectSitemapEntries(env, staticRoutes);
+  return createMemoryStore(entries);
+}
+
+function createMemoryStore(entries) {
+  return {
+    getSummary: async () => SITEMAP_TYPES.map(type => ({
+      type,
+      count: entries[type].length,
+      lastmod: latestDate(entries[type].map(entry => entry.lastmod))
+    })),
+    getEntries: async (type, offset, limit) => entries[type].slice(offset, offset + limit)
+  };
+}
+
+// Sitemap entries for the worker's own routes, keyed by path
+function createStaticPageEntries(staticRoutes, latestPost) {
+  const pageEntries = new Map();
+
+  for (const [path, route] of Object.entries(staticRoutes)) {
+    if (path.startsWith('/newsletter')) {
+      continue;
+    }
+    pageEntries.set(path, {
+      loc: path,
+      lastmod: route === 'blog' || route === 'home' ? latestPost : null,
+      changefreq: path === '/' ? 'daily' : 'weekly',
+      priority: path === '/' ? '1.0' : '0.8'
+    });
+  }
+
+  return pageEntries;
+}
+
+// complete is false when the WordPress API failed and only the worker routes are listed
+async function collectSitemapEntries(env, staticRoutes) {
+  const pathsByRoute = {};
+  for (const [path, route] of Object.entries(staticRoutes)) {
+    pathsByRoute[route] = pathsByRoute[route] || path;
+  }
+
+  // Worker paths for a WordPress permalink, keeping typo aliases such as /privacy-policy
+  const toPath = link => {
+    const route = getRouteFromLink(link);
+    return pathsByRoute[route] || `/${route}`;
+  };
+
+  let pages = [];
+  let posts = [];
+  let categories = [];
+  let media = [];
+  let complete = true;
+
+  try {
+    [pages, posts, categories, media] = await Promise.all([
+      fetchAll('/pages', 'id,link,modified_gmt', env),
+      fetchAll('/posts', 'id,link,modified_gmt,categories', env),
+      fetchAll('/categories', 'id,link,count', env),
+      fetchAll('/media', 'id,source_url,post,modified_gmt,alt_text', env, { media_type: 'image' })
+    ]);
+  } catch (error) {
+    // Still publish the known worker routes when the API is unavailable
+    console.error('Sitemap content fetch error:', error.message);
+    complete = false;
+  }
+
+  const latestPost = latestDate(posts.map(post => toISODate(post.modified_gmt)));
+  const locById = new Map();
+  const pageEntries = createStaticPageEntries(staticRoutes, latestPost);
+
+  for (const page of pages) {
+    const loc = toPath(page.link);
+    const existing = pageEntries.get(loc);
+    locById.set(page.id, loc);
+    pageEntries.set(loc, {
+      loc,
+      lastmod: latestDate([existing?.lastmod, toISODate(page.modified_gmt)]),
+      changefreq: existing?.changefreq || 'weekly',
+      priority: existing?.priority || '0.8'
+    });
+  }
+
+  const categoryLastmod = new Map();
+  const postEntries = posts.map(post => {
+    const lastmod = toISODate(post.modified_gmt);
+    const loc = toPath(post.link);
+    locById.set(post.id, loc);
+
+    for (const categoryId of post.categories || []) {
+      categoryLastmod.set(categoryId, latestDate([categoryLastmod.get(categoryId), lastmod]));
+    }
+
+    return { loc, lastmod, changefreq: 'monthly', priority: '0.7' };
+  });
+
+  const categoryEntries = categories
+    .filter(category => category.count > 0)
+    .map(category => ({
+      loc: toPath(category.link),
+      lastmod: categoryLastmod.get(category.id) || null,
+      changefreq: 'weekly',
+      priority: '0.5'
+    }));
+
+  // Image sitemaps list images under the page that shows them
+  const imagesByLoc = new Map();
+  for (const image of media) {
+    const loc = locById.get(image.post);
+    if (!loc || !image.source_url) {
+      continue;
+    }
+
+    const entry = imagesByLoc.get(loc) || { loc, lastmod: null, images: [] };
+    entry.lastmod = latestDate([entry.lastmod, toISODate(image.modified_gmt)]);
+    entry.images.push({ loc: image.source_url, title: image.alt_text || '' });
+    imagesByLoc.set(loc, entry);
+  }
+
+  return {
+    entries: {
+      pages: [...pageEntries.values()],
+      posts: postEntries,
+      categories: categoryEntries,
+      images: [...imagesByLoc.values()]
+    },
+    complete
+  };
+}
+
+async function fetchAll(endpoint, fields, env, extraParams = {}) {
+  const items = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const params = new URLSearchParams({
+      ...extraParams,
+      per_page: String(API_PAGE_SIZE),
+      page: String(page),
+      _fields: fields
+    });
+    const result = await fetchWordPressAPI(`${endpoint}?${params}`, env);
+
+    items.push(...(Array.isArray(result.data) ? result.data : []));
+    totalPages = result.totalPages || 1;
+    page++;
+  } while (page <= totalPages);
+
+  return items;
+}
+
+/**
+ * Entries are written to sitemap_entries_staging in bounded batches, many rows per
+ * INSERT, then swapped into sitemap_entries in one transaction so readers never see
+ * a half-written sitemap.
+ */
+async function storeSitemapEntries(db, entries) {
+  const generatedAt = new Date().toISOString();
+  const rows = SITEMAP_TYPES.flatMap(type => entries[type].map((entry, position) => [
+    type,
+    position,
+    entry.loc,
+    entry.lastmod || null,
+    entry.changefreq || null,
+    entry.priority || null,
+    entry.images ? JSON.stringify(entry.images) : null
+  ]));
+
+  // Rows left behind by a regeneration that failed part way
+  await db.prepare('DELETE FROM sitemap_entries_staging WHERE generated_at < ?')
+    .bind(new Date(Date.now() - STAGING_MAX_AGE).toISOString())
+    .run();
+
+  // Each INSERT takes its rows as one JSON array parameter
+  const insert = db.prepare(`
+    INSERT INTO sitemap_entries_staging (type, position, loc, lastmod, changefreq, priority, images, generated_at)
+    SELECT
+      json_extract(value, '$[0]'), json_extract(value, '$[1]'), json_extract(value, '$[2]'),
+      json_extract(value, '$[3]'), json_extract(value, '$[4]'), json_extract(value, '$[5]'),
+      json_extract(value, '$[6]'), ?
+    FROM json_each(?)
+  `);
+  const inserts = [];
+  for (let offset = 0; offset < rows.length; offset += ROWS_PER_INSERT) {
+    inserts.push(insert.bind(generatedAt, JSON.stringify(rows.slice(offset, offset + ROWS_PER_INSERT))));
+  }
+
+  for (let offset = 0; offset < inserts.length; offset += INSERTS_PER_BATCH) {
+    await db.batch(inserts.slice(offset, offset + INSERTS_PER_BATCH));
+  }
+
+  await db.batch([
+    db.prepare('DELETE FROM sitemap_entries'),
+    db.prepare(`
+      INSERT INTO sitemap_entries (type, position, loc, lastmod, changefreq, priority, images, generated_at)
+      SELECT type, position, loc, lastmod, changefreq, priority, images, generated_at
+      FROM sitemap_entries_staging
+      WHERE generated_at = ?
+    `).bind(generatedAt),
+    db.prepare('DELETE FROM sitemap_entries_staging WHERE generated_at = ?').bind(generatedAt)
+  ]);
+}
+
+async function getStoredSummary(db) {
+  const result = await db.prepare(`
+    SELECT type, COUNT(*) as count, MAX(lastmod) as lastmod
+    FROM sitemap_entries
+    GROUP BY type
+  `).all();
+
+  return result.results || [];
+}
+
+async function getStoredEntries(db, type, offset, limit) {
+  const result = await db.prepare(`
+    SELECT loc, lastmod, changefreq, priority, images
+    FROM sitemap_entries
+    WHERE type = ?
+    ORDER BY position
+    LIMIT ? OFFSET ?
+  `).bind(type, limit, offset).all();
+
+  return (result.results || []).map(row => ({
+    ...row,
+    images: row.images ? JSON.parse(row.images) : undefined
+  }));
+}
+
+function renderSitemapIndex(summary, baseUrl) {
+  const sitemaps = [];
+
+  for (const { type, count, lastmod } of summary) {
+    const chunks = Math.ceil(count / MAX_URLS_PER_SITEMAP);
+
+    for (let chunk = 1; chunk <= chunks; chunk++) {
+      sitemaps.push({
+        loc: `${baseUrl}/sitemap-${type}${chunk > 1 ? `-${chunk}` : ''}.xml`,
+        lastmod
+      });
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map(sitemap => `  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `
+    <lastmod>${sitemap.lastmod}</lastmod>` : ''}
+  </sitemap>`).join('\n')}
+</sitemapindex>`;
+}
+
+function renderUrlSet(entries, baseUrl, withImages) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${withImages ? ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"' : ''}>
+${entries.map(entry => `  <url>
+    <loc>${escapeXml(baseUrl + entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${entry.lastmod}</lastmod>` : ''}${entry.changefreq ? `
+    <changefreq>${entry.changefreq}</changefreq>` : ''}${entry.priority ? `
+    <priority>${entry.priority}</priority>` : ''}${(entry.images || []).map(image => `
+    <image:image>
+      <image:loc>${escapeXml(image.loc)}</image:loc>${image.title ? `
+      <image:title>${escapeXml(image.title)}</image:title>` : ''}
+    </image:image>`).join('')}
+  </url>`).join('\n')}
+</urlset>`;
+}
+
+function latestDate(dates) {
+  return dates.filter(Boolean).sort().pop() || null;
+}
+
+function escapeXml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
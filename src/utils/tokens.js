@@ -0,0 +1,94 @@
+/**
+ * Signed tokens for links sent by email
+ * A token is base64url(JSON payload) + "." + base64url(HMAC-SHA256), so links can be
+ * verified without storing anything; the payload carries its purpose and expiry
+ */
+
+const encoder = new TextEncoder();
+
+export async function signToken(payload, secret) {
+  const body = base64UrlEncode(encoder.encode(JSON.stringify(payload)));
+  const signature = await hmac(body, secret);
+  return `${body}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Returns the payload when the signature is valid, the purpose matches and
+ * the token has not expired; otherwise null
+ */
+export async function verifyToken(token, secret, purpose) {
+  if (!token || !secret || typeof token !== 'string') {
+    return null;
+  }
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) {
+    return null;
+  }
+
+  try {
+    const key = await importKey(secret);
+    const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(signature), encoder.encode(body));
+    if (!valid) {
+      return null;
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+
+    if (payload.purpose !== purpose || (payload.exp && payload.exp < Date.now())) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    console.error('Token verification error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Short lowercase hex signature for values that cannot hold a full token,
+ * such as the local part of an email address (which some servers lowercase)
+ */
+export async function signTag(value, secret, length = 16) {
+  const signature = await hmac(value, secret);
+  return Array.from(signature, byte => byte.toString(16).padStart(2, '0')).join('').substring(0, length);
+}
+
+export async function verifyTag(value, tag, secret, length = 16) {
+  if (!secret || typeof tag !== 'string' || tag.length !== length) {
+    return false;
+  }
+
+  const expected = await signTag(value, secret, length);
+  const received = tag.toLowerCase();
+  let diff = 0;
+
+  for (let i = 0; i < length; i++) {
+    diff |= expected.charCodeAt(i) ^ received.charCodeAt(i);
+  }
+
+  return diff === 0;
+}
+
+async function hmac(data, secret) {
+  const key = await importKey(secret);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(data)));
+}
+
+function importKey(secret) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
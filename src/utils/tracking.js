@@ -0,0 +1,212 @@
+/**
+ * Privacy-friendly tracking
+ * Writes page views, sessions, client events, conversions and Core Web Vitals samples.
+ *
+ * A session id is the first 32 hex characters of HMAC-SHA256(IP + User-Agent) keyed with
+ * a random salt for the current UTC day. Salts live in D1 (analytics_salts) and are
+ * deleted once their day is over, so stored ids cannot be brute-forced back to an IP
+ * and the same visitor gets an unrelated id the next day.
+ *
+ * Page views from crawlers, monitors and prefetches are stored with is_bot = 1 (see
+ * utils/bots.js) so reports can leave them out; they do not create sessions.
+ *
+ * Sessions record their landing page and first and last campaign touch (utils/attribution.js).
+ * Direct visits and navigation within the site never replace the last touch, and
+ * conversions copy both touches from their session when they are recorded.
+ */
+
+import { signTag } from './tokens.js';
+import { classifyRequest } from './bots.js';
+import { getTouch } from './attribution.js';
+
+export const SESSION_ID_LENGTH = 32;
+
+const MAX_USER_AGENT_LENGTH = 200;
+const MAX_REFERRER_LENGTH = 200;
+
+const DIRECT_TOUCH = { channel: 'direct', source: '(direct)', medium: 'direct', campaign: null, referrerHost: null };
+
+// Per-isolate copy of today's salt
+let cachedSalt = null;
+
+export async function trackPageView(db, path, request) {
+  if (!db) {
+    // Analytics are optional
+    return;
+  }
+
+  try {
+    // Extract basic information without personally identifiable data
+    const userAgent = (request.headers.get('User-Agent') || '').substring(0, MAX_USER_AGENT_LENGTH);
+    const country = request.cf?.country || 'Unknown';
+    const referrer = (request.headers.get('Referer') || '').substring(0, MAX_REFERRER_LENGTH);
+    const timestamp = new Date().toISOString();
+    const { isBot } = classifyRequest(request);
+
+    const sessionId = await createSessionId(db, request);
+
+    await db.prepare(
+      'INSERT INTO page_views (path, user_agent, country, referrer, timestamp, session_id, is_bot) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    ).bind(path, userAgent, country, referrer, timestamp, sessionId, isBot ? 1 : 0).run();
+
+    if (sessionId && !isBot) {
+      await updateSession(db, sessionId, { country, userAgent, timestamp, path, touch: getTouch(request) });
+    }
+  } catch (error) {
+    console.error('Page view tracking error:', error.message);
+    // Analytics errors should not break the main application flow
+  }
+}
+
+/**
+ * Session id for the request, shared by page views and client events so both land in
+ * the same session. Returns null when no salt is available; such rows count as views
+ * but not as visitors.
+ */
+export async function createSessionId(db, request) {
+  try {
+    const salt = await getDailySalt(db);
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const userAgent = (request.headers.get('User-Agent') || 'unknown').substring(0, MAX_USER_AGENT_LENGTH);
+
+    return await signTag(`${ip}\n${userAgent}`, salt, SESSION_ID_LENGTH);
+  } catch (error) {
+    console.error('Session ID creation error:', error.message);
+    return null;
+  }
+}
+
+// Performance tracking: one row per Core Web Vitals metric, e.g. { LCP: 1830, CLS: 0.02 }
+export async function trackPerformance(db, path, metrics, { device = null, sessionId = null } = {}) {
+  try {
+    const timestamp = new Date().toISOString();
+    const statement = db.prepare(
+      'INSERT INTO performance_metrics (path, metric, value, device, session_id, timestamp) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+
+    await db.batch(Object.entries(metrics).map(([metric, value]) =>
+      statement.bind(path, metric, value, device, sessionId, timestamp)
+    ));
+  } catch (error) {
+    console.error('Performance tracking error:', error);
+  }
+}
+
+// Coarse device class from the User-Agent, for splitting performance reports
+export function getDeviceClass(userAgent) {
+  const value = userAgent || '';
+
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(value)) {
+    return 'tablet';
+  }
+
+  if (/Mobi|iPhone|iPod|Android|Windows Phone/i.test(value)) {
+    return 'mobile';
+  }
+
+  return 'desktop';
+}
+
+// Event tracking for user interactions
+export async function trackEvent(db, event, properties = {}, sessionId) {
+  try {
+    await db.prepare(
+      'INSERT INTO events (event_name, properties, session_id, timestamp) VALUES (?, ?, ?, ?)'
+    ).bind(
+      event,
+      JSON.stringify(properties),
+      sessionId,
+      new Date().toISOString()
+    ).run();
+  } catch (error) {
+    console.error('Event tracking error:', error);
+  }
+}
+
+// Conversion tracking, credited to the session's first and last touch as they are now
+export async function trackConversion(db, conversionType, sessionId, value = null) {
+  try {
+    await db.prepare(`
+      INSERT INTO conversions (
+        type, session_id, value, timestamp,
+        first_channel, first_source, first_medium, first_campaign,
+        last_channel, last_source, last_medium, last_campaign
+      )
+      SELECT ?, ?, ?, ?,
+        s.first_channel, s.first_source, s.first_medium, s.first_campaign,
+        s.last_channel, s.last_source, s.last_medium, s.last_campaign
+      FROM (SELECT 1) LEFT JOIN user_sessions s ON s.id = ?
+    `).bind(
+      conversionType,
+      sessionId,
+      value,
+      new Date().toISOString(),
+      sessionId
+    ).run();
+
+    console.log('Conversion tracked:', { conversionType, sessionId, value });
+  } catch (error) {
+    console.error('Conversion tracking error:', error);
+  }
+}
+
+// A session that starts with internal navigation (e.g. across midnight) is treated as direct
+async function updateSession(db, sessionId, { country, userAgent, timestamp, path, touch }) {
+  const entry = touch || DIRECT_TOUCH;
+  const replacesLast = Boolean(touch) && touch.channel !== 'direct';
+
+  try {
+    await db.prepare(`
+      INSERT INTO user_sessions (
+        id, created_at, last_activity, page_count, country, user_agent, landing_path,
+        first_channel, first_source, first_medium, first_campaign, first_referrer_host,
+        last_channel, last_source, last_medium, last_campaign, last_referrer_host, last_touch_at
+      )
+      VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        last_activity = excluded.last_activity,
+        page_count = page_count + 1,
+        last_channel = CASE WHEN ? THEN excluded.last_channel ELSE user_sessions.last_channel END,
+        last_source = CASE WHEN ? THEN excluded.last_source ELSE user_sessions.last_source END,
+        last_medium = CASE WHEN ? THEN excluded.last_medium ELSE user_sessions.last_medium END,
+        last_campaign = CASE WHEN ? THEN excluded.last_campaign ELSE user_sessions.last_campaign END,
+        last_referrer_host = CASE WHEN ? THEN excluded.last_referrer_host ELSE user_sessions.last_referrer_host END,
+        last_touch_at = CASE WHEN ? THEN excluded.last_touch_at ELSE user_sessions.last_touch_at END
+    `).bind(
+      sessionId, timestamp, timestamp, country, userAgent, path,
+      entry.channel, entry.source, entry.medium, entry.campaign, entry.referrerHost,
+      entry.channel, entry.source, entry.medium, entry.campaign, entry.referrerHost, timestamp,
+      ...Array(6).fill(replacesLast ? 1 : 0)
+    ).run();
+  } catch (error) {
+    console.error('Session update error:', error.message);
+  }
+}
+
+/**
+ * Today's salt, created on first use. INSERT OR IGNORE followed by a read makes
+ * concurrent isolates agree on one salt; older salts are deleted at the same time.
+ */
+async function getDailySalt(db) {
+  const today = new Date().toISOString().substring(0, 10);
+
+  if (cachedSalt?.date === today) {
+    return cachedSalt.salt;
+  }
+
+  const candidate = Array.from(crypto.getRandomValues(new Uint8Array(32)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+  await db.batch([
+    db.prepare('INSERT OR IGNORE INTO analytics_salts (date, salt) VALUES (?, ?)').bind(today, candidate),
+    db.prepare('DELETE FROM analytics_salts WHERE date < ?').bind(today)
+  ]);
+
+  const row = await db.prepare('SELECT salt FROM analytics_salts WHERE date = ?').bind(today).first();
+
+  if (!row?.salt) {
+    throw new Error('Analytics salt unavailable');
+  }
+
+  cachedSalt = { date: today, salt: row.salt };
+  return row.salt;
+}
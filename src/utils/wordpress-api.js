@@ -0,0 +1,163 @@
+/**
+ * WordPress REST API content source
+ * Loads pages and posts as structured data (title, content, author, dates,
+ * featured image) instead of scraping the themed HTML
+ */
+
+import { rewriteContentLinks } from './rewriter.js';
+
+const WORDPRESS_BASE_URL = 'https://goevergreen9.wordpress.com';
+const API_TIMEOUT = 10000; // 10 seconds
+const WORDS_PER_MINUTE = 200;
+
+// Archive routes have no single REST entry; they are always scraped
+const ARCHIVE_PREFIXES = ['category/', 'tag/', 'author/', 'page/'];
+
+export async function fetchWordPressAPI(endpoint, env) {
+  const apiUrl = `${env.WORDPRESS_BASE_URL || WORDPRESS_BASE_URL}/wp-json/wp/v2${endpoint}`;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+
+  try {
+    console.log(`Fetching WordPress API: ${apiUrl}`);
+
+    const response = await fetch(apiUrl, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'GoEvergreen-Proxy/1.0 (Wellness Website)',
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      data: await response.json(),
+      total: parseInt(response.headers.get('X-WP-Total') || '0', 10),
+      totalPages: parseInt(response.headers.get('X-WP-TotalPages') || '0', 10)
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+export function isRestRoute(route) {
+  return route !== 'home' && !ARCHIVE_PREFIXES.some(prefix => route.startsWith(prefix));
+}
+
+/**
+ * Look up the page or post behind a route by its slug.
+ * Returns null unless an entry's permalink is exactly the route, so /tag/about or
+ * /2024/01/about do not serve the "about" page under a second URL.
+ */
+export async function getRestEntry(route, env) {
+  const slug = route.split('/').filter(Boolean).pop();
+
+  if (!slug) {
+    return null;
+  }
+
+  // Dated permalinks (2024/05/my-post) are posts; everything else is most likely a page
+  const types = /^\d{4}\//.test(route) ? ['posts', 'pages'] : ['pages', 'posts'];
+
+  for (const type of types) {
+    const { data } = await fetchWordPressAPI(`/${type}?slug=${encodeURIComponent(slug)}&_embed=1`, env);
+
+    // Slugs are only unique per post type and parent, so match the whole permalink
+    const entry = Array.isArray(data) ? data.find(item => getRouteFromLink(item.link) === route) : null;
+
+    if (entry) {
+      return await normalizeEntry(entry, type === 'posts' ? 'post' : 'page', env);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List posts, newest first. Listings skip link rewriting of the full content
+ * unless includeContent is set (feeds need it).
+ */
+export async function getPosts(env, { page = 1, perPage = 10, categories = [], exclude = [], includeContent = false } = {}) {
+  const params = new URLSearchParams({ page: String(page), per_page: String(perPage), _embed: '1' });
+
+  if (categories.length > 0) {
+    params.set('categories', categories.join(','));
+  }
+
+  if (exclude.length > 0) {
+    params.set('exclude', exclude.join(','));
+  }
+
+  const { data, total, totalPages } = await fetchWordPressAPI(`/posts?${params}`, env);
+  const posts = await Promise.all(
+    (Array.isArray(data) ? data : []).map(entry => normalizeEntry(entry, 'post', env, { includeContent }))
+  );
+
+  return { posts, total, totalPages };
+}
+
+export async function normalizeEntry(entry, type, env, { includeContent = true } = {}) {
+  const embedded = entry._embedded || {};
+  const renderedContent = entry.content?.rendered || '';
+  const author = embedded.author?.[0];
+  const featuredMedia = embedded['wp:featuredmedia']?.[0];
+  const terms = (embedded['wp:term'] || []).flat();
+
+  return {
+    id: entry.id,
+    type: type,
+    slug: entry.slug,
+    route: getRouteFromLink(entry.link),
+    title: decodeEntities(stripTags(entry.title?.rendered || '')),
+    excerpt: decodeEntities(stripTags(entry.excerpt?.rendered || '')).trim(),
+    content: includeContent ? await rewriteContentLinks(renderedContent, env) : '',
+    readingTime: Math.max(1, Math.round(stripTags(renderedContent).split(' ').filter(Boolean).length / WORDS_PER_MINUTE)),
+    author: author?.name || '',
+    publishedAt: toISODate(entry.date_gmt),
+    modifiedAt: toISODate(entry.modified_gmt),
+    featuredImage: featuredMedia?.source_url ? {
+      url: featuredMedia.source_url,
+      alt: decodeEntities(featuredMedia.alt_text || '')
+    } : null,
+    categories: terms
+      .filter(term => term.taxonomy === 'category')
+      .map(term => ({ id: term.id, name: decodeEntities(term.name), slug: term.slug }))
+  };
+}
+
+export function getRouteFromLink(link) {
+  try {
+    return new URL(link).pathname.replace(/^\/+|\/+$/g, '') || 'home';
+  } catch (error) {
+    return '';
+  }
+}
+
+export function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ');
+}
+
+export function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', hellip: '…', ndash: '–', mdash: '—' };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      // fromCodePoint throws past the last Unicode code point
+      return Number.isFinite(codePoint) && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+// WordPress *_gmt fields carry no timezone suffix
+export function toISODate(gmtDate) {
+  return gmtDate ? new Date(`${gmtDate}Z`).toISOString() : null;
+}
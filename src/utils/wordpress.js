@@ -1,14 +1,21 @@
 /**
  * WordPress Content Proxy Utilities
  * Fetches and processes content from WordPress site with robust error handling
- * Now includes CSS preservation and admin panel routing
+ * Now includes CSS preservation and admin path detection
  */
 
+import { transformWordPressPage } from './rewriter.js';
+import { getRestEntry, getPosts, isRestRoute, getRouteFromLink } from './wordpress-api.js';
+import { escapeHtml } from './response.js';
+import { generateBlogIndex, generatePostContent } from '../components/blog.js';
+
 const WORDPRESS_BASE_URL = 'https://goevergreen9.wordpress.com';
-const FETCH_TIMEOUT = 15000; // 15 seconds for admin pages
+const FETCH_TIMEOUT = 15000; // 15 seconds
 const MAX_RETRIES = 2;
+const POSTS_PER_PAGE = 9;
+const RELATED_POSTS = 3;
 
-// WordPress admin URLs that should be proxied without custom header/footer
+// WordPress admin URLs passed through the reverse proxy without custom header/footer
 const ADMIN_PATHS = [
   '/wp-admin',
   '/wp-login.php',
@@ -19,20 +26,70 @@ const ADMIN_PATHS = [
   '/wp-cron.php'
 ];
 
-export async function getPageContent(route, env, isAdmin = false) {
+export async function getPageContent(route, env) {
+  const blogPage = getBlogPageNumber(route);
+  
+  // Prefer structured REST API data; scraping stays as the fallback
+  if (env.WORDPRESS_CONTENT_SOURCE !== 'html' && blogPage) {
+    try {
+      return await createBlogIndexContent(blogPage, route, env);
+    } catch (error) {
+      // WordPress answers 400 for pages past the last one
+      if (error.status === 400 && blogPage > 1) {
+        return getNotFoundContent(route);
+      }
+      console.error(`WordPress REST API error for blog page ${blogPage}:`, error.message);
+    }
+  } else if (env.WORDPRESS_CONTENT_SOURCE !== 'html' && isRestRoute(route)) {
+    try {
+      const entry = await getRestEntry(route, env);
+      
+      if (entry) {
+        return await createRestPageContent(entry, route, env);
+      }
+      
+      console.log(`No REST API entry for route ${route}, falling back to HTML scraping`);
+    } catch (error) {
+      console.error(`WordPress REST API error for route ${route}:`, error.message);
+    }
+  }
+  
+  return scrapePageContent(route, env);
+}
+
+// Blog listing routes are "blog" for the first page and "blog/page/N" after that
+export function getBlogRoute(page) {
+  return page > 1 ? `blog/page/${page}` : 'blog';
+}
+
+function getBlogPageNumber(route) {
+  if (route === 'blog') {
+    return 1;
+  }
+  
+  const match = route.match(/^blog\/page\/(\d+)$/);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+async function createBlogIndexContent(page, route, env) {
+  const { posts, totalPages } = await getPosts(env, { page, perPage: POSTS_PER_PAGE });
+  
+  return {
+    content: generateBlogIndex({ posts, page, totalPages }).trim(),
+    route: route,
+    title: page > 1 ? `Health & Wellness Blog - Page ${page} - GoEvergreen` : extractTitle('', 'blog'),
+    description: extractDescription('', 'blog'),
+    source: 'rest'
+  };
+}
+
+async function scrapePageContent(route, env) {
   let lastError = null;
   
   // Try fetching with retries
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      let wordpressUrl;
-      
-      // Handle admin routes differently
-      if (isAdmin) {
-        wordpressUrl = `${env.WORDPRESS_BASE_URL || WORDPRESS_BASE_URL}${route}`;
-      } else {
-        wordpressUrl = `${env.WORDPRESS_BASE_URL || WORDPRESS_BASE_URL}/${route === 'home' ? '' : route}/`;
-      }
+      const wordpressUrl = `${env.WORDPRESS_BASE_URL || WORDPRESS_BASE_URL}/${route === 'home' ? '' : route}/`;
       
       // Create abort controller for timeout
       const controller = new AbortController();
@@ -47,30 +104,36 @@ export async function getPageContent(route, env, isAdmin = false) {
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
           'Accept-Language': 'en-US,en;q=0.5',
           'Cache-Control': 'no-cache',
-          'Referer': env.WORDPRESS_BASE_URL || WORDPRESS_BASE_URL,
-          // Forward cookies for admin authentication
-          ...(isAdmin && { 'Cookie': getCookiesFromRequest() })
+          'Referer': env.WORDPRESS_BASE_URL || WORDPRESS_BASE_URL
         }
       });
       
       clearTimeout(timeoutId);
       
+      // A missing page is a real answer, not a failure worth retrying
+      if (response.status === 404) {
+        console.log(`WordPress page not found: ${wordpressUrl}`);
+        return getNotFoundContent(route);
+      }
+      
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
       
-      const html = await response.text();
+      // WordPress redirects unknown URLs to a similarly named page; serving that here would be a soft 404
+      if (response.redirected && getRouteFromLink(response.url) !== route) {
+        console.log(`WordPress redirected ${wordpressUrl} to ${response.url}, treating as not found`);
+        return getNotFoundContent(route);
+      }
+      
+      // Public pages stream through HTMLRewriter instead of being buffered and regex-scraped
+      const page = await transformWordPressPage(response, env);
       
-      if (!html || html.trim().length === 0) {
+      if (page.isEmpty) {
         throw new Error('Empty response from WordPress');
       }
       
-      // Process HTML differently for admin vs regular pages
-      if (isAdmin) {
-        return processWordPressAdminHTML(html, route, env, response);
-      } else {
-        return processWordPressHTML(html, route, env);
-      }
+      return processWordPressPage(page, route, env);
       
     } catch (error) {
       lastError = error;
@@ -89,91 +152,77 @@ export async function getPageContent(route, env, isAdmin = false) {
   
   console.error(`All WordPress fetch attempts failed for route ${route}:`, lastError?.message);
   
-  if (isAdmin) {
-    // Return minimal admin error page
-    return {
-      content: '<div class="admin-error">Admin panel temporarily unavailable. Please try again.</div>',
-      isAdmin: true,
-      title: 'Admin Panel - GoEvergreen',
-      description: 'WordPress Admin Panel'
-    };
+  return getFallbackContent(route, env);
+}
+
+async function createRestPageContent(entry, route, env) {
+  if (entry.type === 'post') {
+    return createPostContent(entry, route, env);
   }
   
-  return getFallbackContent(route, env);
+  const content = `
+    <article class="wp-entry wp-entry-${entry.type}">
+      <header class="wp-entry-header">
+        <h1>${escapeHtml(entry.title)}</h1>
+      </header>
+      ${entry.featuredImage ? `<img class="wp-entry-image" src="${escapeHtml(entry.featuredImage.url)}" alt="${escapeHtml(entry.featuredImage.alt)}">` : ''}
+      <div class="wp-entry-content">${entry.content}</div>
+    </article>
+  `;
+  
+  return {
+    content: content.trim(),
+    route: route,
+    type: entry.type,
+    title: extractTitle(entry.title ? `${entry.title} - GoEvergreen` : '', route),
+    description: extractDescription(entry.excerpt.substring(0, 160), route),
+    author: entry.author,
+    publishedAt: entry.publishedAt,
+    modifiedAt: entry.modifiedAt,
+    featuredImage: entry.featuredImage,
+    source: 'rest'
+  };
 }
 
-function processWordPressAdminHTML(html, route, env, response) {
+async function createPostContent(post, route, env) {
+  let relatedPosts = [];
+  
   try {
-    // For admin pages, preserve most of the original HTML but update domains
-    let processedHTML = html
-      // Update WordPress.com references to custom domain
-      .replace(/goevergreen9\.wordpress\.com/gi, env.DOMAIN || 'goevergreen.shop')
-      .replace(/https:\/\/wordpress\.com/gi, `https://${env.DOMAIN || 'goevergreen.shop'}`)
-      
-      // Keep admin functionality but update branding where safe
-      .replace(/WordPress\.com/gi, 'GoEvergreen Admin')
-      .replace(/wp\.com/gi, env.DOMAIN || 'goevergreen.shop');
+    const categoryIds = post.categories.map(category => category.id);
     
-    // Extract cookies for session management
-    const cookies = response.headers.get('set-cookie') || '';
-    
-    return {
-      content: processedHTML,
-      isAdmin: true,
-      title: extractTitle(html, route) || 'GoEvergreen Admin',
-      description: 'WordPress Admin Panel for GoEvergreen',
-      cookies: cookies
-    };
+    if (categoryIds.length > 0) {
+      const related = await getPosts(env, { perPage: RELATED_POSTS, categories: categoryIds, exclude: [post.id] });
+      relatedPosts = related.posts;
+    }
   } catch (error) {
-    console.error('Admin HTML processing error:', error);
-    return {
-      content: '<div class="admin-error">Admin panel processing failed. Please try again.</div>',
-      isAdmin: true,
-      title: 'Admin Error - GoEvergreen',
-      description: 'WordPress Admin Panel Error'
-    };
+    // Related posts are optional - render the post without them
+    console.error(`Related posts error for route ${route}:`, error.message);
   }
+  
+  return {
+    content: generatePostContent(post, relatedPosts).trim(),
+    route: route,
+    type: 'post',
+    title: extractTitle(`${post.title} - GoEvergreen`, route),
+    description: extractDescription(post.excerpt.substring(0, 160), route),
+    author: post.author,
+    publishedAt: post.publishedAt,
+    modifiedAt: post.modifiedAt,
+    featuredImage: post.featuredImage,
+    source: 'rest'
+  };
 }
 
-function processWordPressHTML(html, route, env) {
+function processWordPressPage(page, route, env) {
   try {
-    // Extract CSS links and inline styles BEFORE removing content
-    const cssLinks = extractCSSLinks(html);
-    const inlineStyles = extractInlineStyles(html);
-    
-    // Remove WordPress branding and unwanted elements while preserving CSS
-    let processedHTML = html
-      // Remove WordPress.com branding but keep functional elements
-      .replace(/Design a site like this with WordPress\.com[\s\S]*?Get started/gi, '')
-      .replace(/Create a website or blog at WordPress\.com/gi, '')
-      .replace(/Powered by WordPress\.com/gi, '')
-      
-      // Remove admin-specific elements from public pages
-      .replace(/<div[^>]*id="wpadminbar"[^>]*>[\s\S]*?<\/div>/gi, '')
-      .replace(/<script[^>]*wp-admin[^>]*>[\s\S]*?<\/script>/gi, '')
-      
-      // Remove subscription forms but keep other forms
-      .replace(/<form[^>]*class="[^"]*subscribe[^"]*"[^>]*>[\s\S]*?<\/form>/gi, '')
-      .replace(/Subscribe[\s\n]*Subscribed/gi, '')
-      
-      // Remove WordPress.com promotional elements
-      .replace(/Already have a WordPress\.com account\?[\s\S]*?Log in now\./gi, '')
-      .replace(/Report this content[\s\S]*?Collapse this bar/gi, '')
-      
-      // Clean up navigation but preserve structure
-      .replace(/"Skip to content"/gi, '"Skip to main content"')
-      
-      // Update internal links to use custom domain
-      .replace(/https:\/\/goevergreen9\.wordpress\.com/gi, `https://${env.DOMAIN || 'goevergreen.shop'}`)
-      .replace(/goevergreen9\.wordpress\.com/gi, env.DOMAIN || 'goevergreen.shop')
-      
-      // Clean up empty elements
-      .replace(/<div[^>]*>\s*<\/div>/gi, '')
-      .replace(/<p[^>]*>\s*<\/p>/gi, '')
-      .replace(/<span[^>]*>\s*<\/span>/gi, '');
+    const { cssLinks, inlineStyles } = page;
+    let mainContent = page.content;
     
-    // Extract main content more reliably
-    let mainContent = extractMainContent(processedHTML);
+    // If no content extracted, use fallback
+    if (!mainContent || mainContent.trim().length < 50) {
+      console.warn(`Insufficient content extracted for route ${route}, using fallback`);
+      return getFallbackContent(route, env);
+    }
     
     // Preserve extracted CSS
     if (cssLinks.length > 0 || inlineStyles) {
@@ -186,19 +235,12 @@ function processWordPressHTML(html, route, env) {
       mainContent = cssSection + mainContent;
     }
     
-    // If no content extracted, use fallback
-    if (!mainContent || mainContent.trim().length < 50) {
-      console.warn(`Insufficient content extracted for route ${route}, using fallback`);
-      return getFallbackContent(route, env);
-    }
-    
     return {
       content: mainContent.trim(),
       route: route,
-      title: extractTitle(html, route),
-      description: extractDescription(html, route),
-      cssLinks: cssLinks,
-      isAdmin: false
+      title: extractTitle(page.title, route),
+      description: extractDescription(page.description, route),
+      cssLinks: cssLinks
     };
   } catch (error) {
     console.error('HTML processing error:', error);
@@ -206,76 +248,8 @@ function processWordPressHTML(html, route, env) {
   }
 }
 
-function extractCSSLinks(html) {
-  const cssLinks = [];
-  const linkRegex = /<link[^>]+rel=["']stylesheet["'][^>]*>/gi;
-  let match;
-  
-  while ((match = linkRegex.exec(html)) !== null) {
-    let link = match[0];
-    // Update WordPress.com CSS URLs to use proxy or CDN
-    link = link.replace(/https:\/\/[^\s"']+\.wordpress\.com/gi, '');
-    // Only include if it's not an admin-specific stylesheet
-    if (!link.includes('wp-admin') && !link.includes('login')) {
-      cssLinks.push(link);
-    }
-  }
-  
-  return cssLinks;
-}
-
-function extractInlineStyles(html) {
-  const styleRegex = /<style[^>]*>([\s\S]*?)<\/style>/gi;
-  let styles = '';
-  let match;
-  
-  while ((match = styleRegex.exec(html)) !== null) {
-    const styleContent = match[1];
-    // Skip admin-specific styles
-    if (!styleContent.includes('wp-admin') && !styleContent.includes('#wpadminbar')) {
-      styles += styleContent + '\n';
-    }
-  }
-  
-  return styles.trim();
-}
-
-function extractMainContent(html) {
-  // Try multiple selectors to find main content, prioritizing semantic elements
-  const contentSelectors = [
-    /<main[^>]*>([\s\S]*?)<\/main>/i,
-    /<article[^>]*>([\s\S]*?)<\/article>/i,
-    /<div[^>]*class="[^"]*entry-content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-    /<div[^>]*class="[^"]*post-content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-    /<div[^>]*class="[^"]*content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-    /<div[^>]*id="content"[^>]*>([\s\S]*?)<\/div>/i,
-    /<section[^>]*class="[^"]*content[^"]*"[^>]*>([\s\S]*?)<\/section>/i,
-    /<body[^>]*>([\s\S]*?)<\/body>/i
-  ];
-  
-  for (const selector of contentSelectors) {
-    const match = html.match(selector);
-    if (match && match[1] && match[1].trim().length > 100) {
-      let content = match[1].trim();
-      // Remove header and footer from extracted content
-      content = content.replace(/<header[\s\S]*?<\/header>/gi, '');
-      content = content.replace(/<footer[\s\S]*?<\/footer>/gi, '');
-      content = content.replace(/<nav[^>]*class="[^"]*main[^"]*"[^>]*>[\s\S]*?<\/nav>/gi, '');
-      
-      if (content.trim().length > 50) {
-        return content.trim();
-      }
-    }
-  }
-  
-  // Fallback: return everything between body tags
-  const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-  return bodyMatch ? bodyMatch[1].trim() : html;
-}
-
-function extractTitle(html, route) {
-  const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  let title = titleMatch ? titleMatch[1]
+function extractTitle(rawTitle, route) {
+  let title = rawTitle ? rawTitle
     .replace(/\s*–\s*WordPress\.com/gi, '')
     .replace(/\s*\|\s*WordPress\.com/gi, '')
     .replace(/WordPress\.com/gi, '')
@@ -299,10 +273,8 @@ function extractTitle(html, route) {
   return customTitles[route] || title || 'GoEvergreen - Wellness & Health';
 }
 
-function extractDescription(html, route) {
-  // Try to find meta description
-  const metaMatch = html.match(/<meta[^>]+name=["']description["'][^>]+content=["']([^"']+)["']/i);
-  let description = metaMatch ? metaMatch[1].replace(/WordPress\.com/gi, '').trim() : '';
+function extractDescription(rawDescription, route) {
+  let description = rawDescription ? rawDescription.replace(/WordPress\.com/gi, '').trim() : '';
   
   // Custom descriptions for better SEO
   const customDescriptions = {
@@ -322,16 +294,30 @@ function extractDescription(html, route) {
   return customDescriptions[route] || description || 'GoEvergreen - Premium wellness and health guidance for women';
 }
 
-function getCookiesFromRequest() {
-  // This would be implemented to forward authentication cookies
-  // For now, return empty string
-  return '';
-}
-
 export function isAdminPath(pathname) {
   return ADMIN_PATHS.some(path => pathname.startsWith(path));
 }
 
+export function getNotFoundContent(route) {
+  return {
+    content: `
+      <div class="hero-section not-found">
+        <h1>Page Not Found</h1>
+        <p>We couldn't find the page you were looking for. It may have been moved or no longer exists.</p>
+        <div class="cta-buttons">
+          <a href="/" class="btn btn-primary">Back to Home</a>
+          <a href="/blog" class="btn btn-secondary">Browse the Blog</a>
+        </div>
+      </div>
+    `,
+    route: route,
+    title: 'Page Not Found - GoEvergreen',
+    description: 'The page you were looking for could not be found on GoEvergreen.',
+    status: 404,
+    notFound: true
+  };
+}
+
 function getFallbackContent(route, env) {
   const fallbackContent = {
     'home': {
@@ -463,15 +449,12 @@ function getFallbackContent(route, env) {
             <p>Stay connected for daily wellness tips and updates.</p>
           </div>
         </div>
-        
-        <div class="contact-form-placeholder">
-          <p><em>Contact form will be available soon. For immediate assistance, please email us directly.</em></p>
-        </div>
       `,
       title: 'Contact GoEvergreen - Get Expert Wellness Support',
       description: 'Get in touch with our wellness experts. We\'re here to support your health journey with personalized guidance and care.'
     }
   };
   
-  return fallbackContent[route] || fallbackContent['home'];
+  // Flag fallback pages so the edge cache never stores them as real content
+  return { ...(fallbackContent[route] || fallbackContent['home']), route, isFallback: true };
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { handleApiKeysAPI } from '../src/handlers/api-keys.js';
+import { handleContactInboxAPI } from '../src/handlers/contact.js';
+
+// Fails like D1 does when asked to bind NaN
+function createFakeDb() {
+  const bound = [];
+  return {
+    bound,
+    prepare() {
+      const statement = {
+        bind(...params) {
+          if (params.some(param => Number.isNaN(param))) {
+            throw new Error('D1_TYPE_ERROR: Type \'number\' not supported for value \'NaN\'');
+          }
+          bound.push(params);
+          return statement;
+        },
+        async first() {
+          return null;
+        }
+      };
+      return statement;
+    }
+  };
+}
+
+const principal = { type: 'bootstrap', id: null, name: 'ADMIN_API_TOKEN', scopes: ['*'] };
+
+test('answers 404 for API key ids that are not numbers', async () => {
+  const db = createFakeDb();
+
+  for (const id of ['abc', '1.5', '-1']) {
+    const request = new Request(`https://goevergreen.shop/api/auth/keys/${id}`);
+    const response = await handleApiKeysAPI(request, { DB: db }, ['', 'api', 'auth', 'keys', id], principal);
+    assert.equal(response.status, 404);
+  }
+  assert.equal(db.bound.length, 0);
+
+  const response = await handleApiKeysAPI(new Request('https://goevergreen.shop/api/auth/keys/12'), { DB: db }, ['', 'api', 'auth', 'keys', '12'], principal);
+  assert.equal(response.status, 404);
+  assert.deepEqual(db.bound, [[12]]);
+});
+
+test('answers 404 for contact submission ids that are not numbers', async () => {
+  const db = createFakeDb();
+  const request = new Request('https://goevergreen.shop/api/contact/submissions/abc');
+
+  const response = await handleContactInboxAPI(request, { DB: db }, ['', 'api', 'contact', 'submissions', 'abc']);
+  assert.equal(response.status, 404);
+  assert.equal(db.bound.length, 0);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { purgeCachedPages } from '../src/utils/cache.js';
+
+// Records every statement and fails like D1 does past 100 bound parameters
+function createFakeDb() {
+  const statements = [];
+  return {
+    statements,
+    prepare(sql) {
+      const statement = {
+        sql,
+        params: [],
+        bind(...params) {
+          if (params.length > 100) {
+            throw new Error('too many SQL variables');
+          }
+          statement.params = params;
+          return statement;
+        },
+        async run() {
+          statements.push(statement);
+          return { success: true, meta: { changes: statement.params.length } };
+        }
+      };
+      return statement;
+    }
+  };
+}
+
+// Stands in for caches.default and counts how many deletions run at once
+function createFakeCache() {
+  const cache = { deleted: [], active: 0, maxActive: 0 };
+  cache.delete = async key => {
+    cache.active++;
+    cache.maxActive = Math.max(cache.maxActive, cache.active);
+    await new Promise(resolve => setImmediate(resolve));
+    cache.active--;
+    cache.deleted.push(key);
+    return true;
+  };
+  return cache;
+}
+
+const routes = Array.from({ length: 250 }, (_, i) => `blog/post-${i}`);
+
+test('clears the whole index in one statement when purging everything', async t => {
+  t.mock.method(console, 'log', () => {});
+  const cache = createFakeCache();
+  globalThis.caches = { default: cache };
+  t.after(() => delete globalThis.caches);
+  const db = createFakeDb();
+
+  const result = await purgeCachedPages(routes, { DB: db }, { all: true });
+
+  assert.equal(result.routes.length, 250);
+  assert.deepEqual(db.statements.map(statement => statement.sql), ['DELETE FROM cached_pages']);
+  assert.equal(cache.deleted.length, 250);
+  assert.ok(cache.maxActive <= 50);
+});
+
+test('deletes listed routes from the index in batches of at most 100', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const db = createFakeDb();
+
+  await purgeCachedPages([...routes, 'about'], { DB: db });
+
+  assert.deepEqual(db.statements.map(statement => statement.params.length), [100, 100, 51]);
+  assert.deepEqual(db.statements.flatMap(statement => statement.params), [...routes, 'about']);
+});
@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { handleCampaignsAPI, sendScheduledCampaigns } from '../src/handlers/campaigns.js';
+
+const campaign = {
+  id: 7,
+  subject: 'Hello {{name}}',
+  html: '<p>Hi {{name}}</p>',
+  text: null,
+  status: 'sending',
+  scheduled_at: '2025-01-01T00:00:00.000Z'
+};
+
+function createFakeTransport({ fail = false } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      if (fail) {
+        throw new Error('mailbox unavailable');
+      }
+      sent.push(message);
+    }
+  };
+}
+
+// Records every statement; the claim returns the given deliveries and the count query the given remainder
+function createFakeDb({ claimed = [], remaining = 0 } = {}) {
+  const statements = [];
+  return {
+    statements,
+    find(pattern) {
+      return statements.filter(statement => pattern.test(statement.sql));
+    },
+    prepare(sql) {
+      const statement = {
+        sql,
+        params: [],
+        bind(...params) {
+          statement.params = params;
+          return statement;
+        },
+        async run() {
+          statements.push(statement);
+          return { success: true, meta: { changes: 1 } };
+        },
+        async all() {
+          statements.push(statement);
+          if (/FROM newsletter_campaigns/.test(sql)) {
+            return { results: [campaign] };
+          }
+          return { results: /RETURNING/.test(sql) ? claimed : [] };
+        },
+        async first() {
+          statements.push(statement);
+          return { count: remaining };
+        }
+      };
+      return statement;
+    },
+    async batch(batch) {
+      return Promise.all(batch.map(statement => statement.run()));
+    }
+  };
+}
+
+function createEnv(db, transport) {
+  return { DB: db, DOMAIN: 'goevergreen.shop', NEWSLETTER_SECRET: 'test-secret', MAIL_TRANSPORT: transport };
+}
+
+test('claims one batch and sends each delivery with the subscriber name', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = createFakeDb({
+    claimed: [
+      { id: 1, email: 'ana@example.com', attempts: 1, name: 'Ana' },
+      { id: 2, email: 'ben@example.com', attempts: 1, name: null }
+    ]
+  });
+  const transport = createFakeTransport();
+
+  const [result] = await sendScheduledCampaigns(createEnv(db, transport), { batchSize: 25 });
+
+  assert.deepEqual(result, { campaignId: 7, attempted: 2, sent: 2, failed: 0, remaining: 0 });
+  assert.deepEqual(transport.sent.map(message => [message.to, message.subject]), [
+    ['ana@example.com', 'Hello Ana'],
+    ['ben@example.com', 'Hello there']
+  ]);
+
+  const [claim] = db.find(/RETURNING/);
+  assert.match(claim.sql, /SELECT name FROM newsletter_subscribers/);
+  assert.equal(claim.params.at(-1), 25);
+
+  const updates = db.find(/SET status = \?, error = \?/);
+  assert.deepEqual(updates.map(update => [update.params[0], update.params[4]]), [['sent', 1], ['sent', 2]]);
+
+  const [completed] = db.find(/UPDATE newsletter_campaigns SET status = 'sent'/);
+  assert.equal(completed.params[2], 7);
+});
+
+test('skips unsubscribed subscribers before claiming the batch', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = createFakeDb();
+
+  await sendScheduledCampaigns(createEnv(db, createFakeTransport()));
+
+  const skip = db.statements.findIndex(statement => /SET status = 'skipped'/.test(statement.sql));
+  const claim = db.statements.findIndex(statement => /RETURNING/.test(statement.sql));
+  assert.ok(skip >= 0 && skip < claim);
+  assert.match(db.statements[skip].sql, /subscriber_id NOT IN \(SELECT id FROM newsletter_subscribers WHERE unsubscribed = FALSE\)/);
+  assert.deepEqual(db.statements[skip].params, [7]);
+});
+
+test('backs off failed deliveries: 15 minutes after the first attempt, 60 after the second', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const db = createFakeDb({
+    claimed: [
+      { id: 1, email: 'ana@example.com', attempts: 1, name: 'Ana' },
+      { id: 2, email: 'ben@example.com', attempts: 2, name: 'Ben' }
+    ],
+    remaining: 2
+  });
+
+  const before = Date.now();
+  const [result] = await sendScheduledCampaigns(createEnv(db, createFakeTransport({ fail: true })));
+  const after = Date.now();
+
+  assert.deepEqual(result, { campaignId: 7, attempted: 2, sent: 0, failed: 2, remaining: 2 });
+
+  const updates = db.find(/SET status = \?, error = \?/);
+  assert.deepEqual(updates.map(update => [update.params[0], update.params[1], update.params[2]]), [
+    ['failed', 'mailbox unavailable', null],
+    ['failed', 'mailbox unavailable', null]
+  ]);
+
+  for (const [update, minutes] of [[updates[0], 15], [updates[1], 60]]) {
+    const retryAt = Date.parse(update.params[3]);
+    assert.ok(retryAt >= before + minutes * 60 * 1000 && retryAt <= after + minutes * 60 * 1000);
+  }
+
+  // Work is left, so the campaign keeps sending
+  assert.equal(db.find(/UPDATE newsletter_campaigns SET status = 'sent'/).length, 0);
+});
+
+test('gives up on deliveries that used every attempt', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = createFakeDb();
+
+  const [result] = await sendScheduledCampaigns(createEnv(db, createFakeTransport()));
+
+  // A run that died during the last attempt leaves the row in "sending"
+  const [interrupted] = db.find(/COALESCE\(error, 'Send interrupted'\)/);
+  assert.match(interrupted.sql, /status = 'sending' AND claimed_at < \? AND attempts >= \?/);
+  assert.equal(interrupted.params[2], 3);
+
+  // Neither the claim nor the remaining count picks up exhausted rows again
+  const [claim] = db.find(/RETURNING/);
+  assert.match(claim.sql, /attempts < \?/);
+  assert.equal(claim.params[2], 3);
+
+  const [count] = db.find(/SELECT COUNT\(\*\)/);
+  assert.match(count.sql, /status = 'failed' AND attempts < \?/);
+  assert.deepEqual(count.params, [7, 3]);
+
+  assert.equal(result.remaining, 0);
+  assert.equal(db.find(/UPDATE newsletter_campaigns SET status = 'sent'/).length, 1);
+});
+
+test('answers 404 for campaign ids that are not numbers', async () => {
+  const db = createFakeDb();
+  const request = new Request('https://goevergreen.shop/api/campaigns/abc');
+
+  const response = await handleCampaignsAPI(request, createEnv(db), ['', 'api', 'campaigns', 'abc']);
+
+  assert.equal(response.status, 404);
+  assert.equal(db.statements.length, 0);
+});
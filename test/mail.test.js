@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sendMail, getMailTransport } from '../src/utils/mail.js';
+
+function createFakeTransport({ fail = false } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      if (fail) {
+        throw new Error('mailbox unavailable');
+      }
+      sent.push(message);
+    }
+  };
+}
+
+test('sends through env.MAIL_TRANSPORT with the default sender', async t => {
+  t.mock.method(console, 'log', () => {});
+  const transport = createFakeTransport();
+  const env = { DOMAIN: 'goevergreen.shop', MAIL_TRANSPORT: transport };
+
+  assert.equal(getMailTransport(env), transport);
+  assert.deepEqual(await sendMail(env, { to: 'reader@example.com', subject: 'Confirm', text: 'Hi' }), { success: true });
+  assert.deepEqual(transport.sent, [{
+    to: 'reader@example.com',
+    subject: 'Confirm',
+    text: 'Hi',
+    from: 'GoEvergreen <newsletter@goevergreen.shop>'
+  }]);
+});
+
+test('keeps an explicit sender and MAIL_FROM over the default', async t => {
+  t.mock.method(console, 'log', () => {});
+  const transport = createFakeTransport();
+
+  await sendMail({ MAIL_TRANSPORT: transport, MAIL_FROM: 'News <news@example.com>' }, { to: 'a@example.com', subject: 'One' });
+  await sendMail({ MAIL_TRANSPORT: transport }, { to: 'b@example.com', subject: 'Two', from: 'Team <team@example.com>' });
+
+  assert.deepEqual(transport.sent.map(message => message.from), ['News <news@example.com>', 'Team <team@example.com>']);
+});
+
+test('reports transport failures instead of throwing', async t => {
+  t.mock.method(console, 'error', () => {});
+  const result = await sendMail({ MAIL_TRANSPORT: createFakeTransport({ fail: true }) }, { to: 'a@example.com', subject: 'x' });
+
+  assert.deepEqual(result, { success: false, error: 'mailbox unavailable' });
+});
+
+test('refuses to drop mail silently in production without a transport', async t => {
+  t.mock.method(console, 'error', () => {});
+  const result = await sendMail({ ENVIRONMENT: 'production' }, { to: 'a@example.com', subject: 'x' });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /No mail transport configured/);
+});
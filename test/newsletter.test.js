@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { handleNewsletterPreferences, getManageUrl } from '../src/handlers/newsletter.js';
+
+const env = { DOMAIN: 'goevergreen.shop', NEWSLETTER_SECRET: 'test-secret' };
+
+// Fails any query: the preferences page must answer before touching the database
+const failingDb = {
+  prepare() {
+    throw new Error('unexpected query');
+  }
+};
+
+test('answers an unreadable preferences form with the 400 page', async () => {
+  const url = await getManageUrl('preferences', 'reader@example.com', env);
+  const request = new Request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'multipart/form-data; boundary=missing' },
+    body: 'not a multipart body'
+  });
+
+  const response = await handleNewsletterPreferences(request, { ...env, DB: failingDb });
+
+  assert.equal(response.status, 400);
+  assert.match(response.headers.get('Content-Type'), /^text\/html/);
+  assert.equal(response.headers.get('Cache-Control'), 'private, no-store');
+  assert.match(await response.text(), /We could not read your changes/);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sendOrQueueEmail, retryQueuedEmails } from '../src/utils/outbox.js';
+import { buildMimeMessage } from '../src/utils/mime.js';
+
+// Stands in for the send_email binding; EmailMessage is not available outside Workers
+function createFakeBinding({ fail = false } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      if (fail) {
+        throw new Error('destination address not verified');
+      }
+      sent.push(message);
+    }
+  };
+}
+
+// Records every statement; all() answers with the given rows
+function createFakeDb(rows = []) {
+  const statements = [];
+  return {
+    statements,
+    prepare(sql) {
+      const statement = {
+        sql,
+        params: [],
+        bind(...params) {
+          statement.params = params;
+          return statement;
+        },
+        async run() {
+          statements.push(statement);
+          return { success: true, meta: { changes: 1 } };
+        },
+        async all() {
+          statements.push(statement);
+          return { results: rows };
+        }
+      };
+      return statement;
+    }
+  };
+}
+
+const message = {
+  from: 'noreply@goevergreen.shop',
+  to: 'info@goevergreen.shop',
+  subject: 'New contact message',
+  raw: buildMimeMessage({
+    from: { name: 'GoEvergreen', email: 'noreply@goevergreen.shop' },
+    to: 'info@goevergreen.shop',
+    replyTo: { name: 'Zoë Visitor', email: 'visitor@example.com' },
+    subject: 'New contact message',
+    text: 'Hello'
+  })
+};
+
+test('sends the raw MIME message through the binding', async t => {
+  t.mock.method(console, 'log', () => {});
+  const binding = createFakeBinding();
+  const db = createFakeDb();
+
+  assert.deepEqual(await sendOrQueueEmail({ SEND_EMAIL: binding, DB: db }, message), { sent: true, queued: false });
+  assert.equal(binding.sent.length, 1);
+  assert.equal(binding.sent[0].to, 'info@goevergreen.shop');
+  assert.equal(binding.sent[0].raw, message.raw);
+  assert.match(message.raw, /^Reply-To: .*\r\n .*<visitor@example\.com>\r$/m);
+  assert.equal(db.statements.length, 0);
+});
+
+test('queues the message for retry when the binding fails', async t => {
+  t.mock.method(console, 'error', () => {});
+  const db = createFakeDb();
+
+  assert.deepEqual(
+    await sendOrQueueEmail({ SEND_EMAIL: createFakeBinding({ fail: true }), DB: db }, message),
+    { sent: false, queued: true }
+  );
+  assert.equal(db.statements.length, 1);
+  assert.match(db.statements[0].sql, /INSERT INTO email_outbox/);
+  assert.deepEqual(db.statements[0].params.slice(0, 4), [message.from, message.to, message.subject, message.raw]);
+});
+
+test('retries claimed messages and gives up after the last attempt', async t => {
+  t.mock.method(console, 'error', () => {});
+  const rows = [
+    { id: 1, sender: message.from, recipient: message.to, subject: 'first', raw: message.raw, attempts: 2 },
+    { id: 2, sender: message.from, recipient: message.to, subject: 'last', raw: message.raw, attempts: 5 }
+  ];
+
+  const working = createFakeDb(rows);
+  const binding = createFakeBinding();
+  assert.deepEqual(await retryQueuedEmails({ SEND_EMAIL: binding, DB: working }), { attempted: 2, sent: 2, failed: 0 });
+  assert.equal(binding.sent.length, 2);
+
+  const failing = createFakeDb(rows);
+  assert.deepEqual(
+    await retryQueuedEmails({ SEND_EMAIL: createFakeBinding({ fail: true }), DB: failing }),
+    { attempted: 2, sent: 0, failed: 2 }
+  );
+  const statuses = failing.statements.slice(1).map(statement => [statement.params[3], statement.params[0]]);
+  assert.deepEqual(statuses, [[1, 'pending'], [2, 'failed']]);
+});
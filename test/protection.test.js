@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkSubmission, createBlockedResponse, issueFormToken } from '../src/utils/protection.js';
+
+function createFakeVerifier(success) {
+  const calls = [];
+  return {
+    calls,
+    async verify(token, remoteIp) {
+      calls.push({ token, remoteIp });
+      return { success };
+    }
+  };
+}
+
+// Answers the rate limit upsert with the given count and remembers form token nonces
+function createFakeDb({ count = 1 } = {}) {
+  const nonces = new Set();
+  return {
+    nonces,
+    prepare(sql) {
+      const statement = {
+        params: [],
+        bind(...params) {
+          statement.params = params;
+          return statement;
+        },
+        async first() {
+          if (/INSERT INTO rate_limits/.test(sql)) {
+            return { count };
+          }
+          const [nonce] = statement.params;
+          if (nonces.has(nonce)) {
+            return null;
+          }
+          nonces.add(nonce);
+          return { nonce };
+        }
+      };
+      return statement;
+    }
+  };
+}
+
+function createRequest() {
+  return new Request('https://goevergreen.shop/api/newsletter', {
+    method: 'POST',
+    headers: { 'CF-Connecting-IP': '203.0.113.7' }
+  });
+}
+
+// A token issued long enough ago to pass the fill-time check
+async function issueSettledToken(t, env) {
+  const issuedAt = Date.now() - 10 * 1000;
+  t.mock.method(Date, 'now', () => issuedAt);
+  const token = await issueFormToken(env);
+  Date.now.mock.restore();
+  return token;
+}
+
+function quiet(t) {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('accepts a settled form token with a passing Turnstile check', async t => {
+  quiet(t);
+  const verifier = createFakeVerifier(true);
+  const env = { NEWSLETTER_SECRET: 'test-secret', DB: createFakeDb(), TURNSTILE_VERIFIER: verifier };
+  const data = { email: 'reader@example.com', form_token: await issueSettledToken(t, env), 'cf-turnstile-response': 'turnstile-token' };
+
+  assert.deepEqual(await checkSubmission(createRequest(), env, data, 'newsletter'), { allowed: true });
+  assert.deepEqual(verifier.calls, [{ token: 'turnstile-token', remoteIp: '203.0.113.7' }]);
+});
+
+test('refuses a submission that fails Turnstile', async t => {
+  quiet(t);
+  const env = { NEWSLETTER_SECRET: 'test-secret', DB: createFakeDb(), TURNSTILE_VERIFIER: createFakeVerifier(false) };
+  const data = { email: 'reader@example.com', form_token: await issueSettledToken(t, env), 'cf-turnstile-response': 'turnstile-token' };
+
+  const verdict = await checkSubmission(createRequest(), env, data, 'newsletter');
+  assert.equal(verdict.reason, 'turnstile');
+  assert.equal(verdict.status, 403);
+});
+
+test('refuses a missing Turnstile token without calling the verifier', async t => {
+  quiet(t);
+  const verifier = createFakeVerifier(true);
+  const env = { TURNSTILE_VERIFIER: verifier };
+
+  const verdict = await checkSubmission(createRequest(), env, { email: 'reader@example.com' }, 'newsletter');
+  assert.equal(verdict.reason, 'turnstile');
+  assert.equal(verifier.calls.length, 0);
+});
+
+test('silently drops honeypot hits', async t => {
+  quiet(t);
+
+  assert.deepEqual(
+    await checkSubmission(createRequest(), {}, { email: 'reader@example.com', website: 'https://spam.example' }, 'newsletter'),
+    { allowed: false, reason: 'honeypot', silent: true }
+  );
+});
+
+test('silently drops submissions sent too soon after the token was issued', async t => {
+  quiet(t);
+  const env = { NEWSLETTER_SECRET: 'test-secret', DB: createFakeDb() };
+  const data = { email: 'reader@example.com', form_token: await issueFormToken(env) };
+
+  assert.deepEqual(await checkSubmission(createRequest(), env, data, 'newsletter'), { allowed: false, reason: 'too_fast', silent: true });
+});
+
+test('refuses missing, forged and reused form tokens', async t => {
+  quiet(t);
+  const env = { NEWSLETTER_SECRET: 'test-secret', DB: createFakeDb() };
+  const token = await issueSettledToken(t, env);
+  const forged = await issueSettledToken(t, { NEWSLETTER_SECRET: 'other-secret' });
+
+  assert.equal((await checkSubmission(createRequest(), env, { email: 'a@example.com' }, 'newsletter')).reason, 'form_token');
+  assert.equal((await checkSubmission(createRequest(), env, { email: 'a@example.com', form_token: forged }, 'newsletter')).reason, 'form_token');
+
+  assert.deepEqual(await checkSubmission(createRequest(), env, { email: 'a@example.com', form_token: token }, 'newsletter'), { allowed: true });
+  const replay = await checkSubmission(createRequest(), env, { email: 'b@example.com', form_token: token }, 'newsletter');
+  assert.equal(replay.reason, 'form_token_reused');
+  assert.equal(replay.status, 403);
+});
+
+test('answers 429 with Retry-After once the rate limit is reached', async t => {
+  quiet(t);
+  const env = { DB: createFakeDb({ count: 6 }) };
+
+  const verdict = await checkSubmission(createRequest(), env, { email: 'reader@example.com' }, 'newsletter');
+  assert.equal(verdict.reason, 'rate_limit');
+
+  const response = createBlockedResponse(verdict);
+  assert.equal(response.status, 429);
+  const retryAfter = Number(response.headers.get('Retry-After'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 600);
+  assert.deepEqual(await response.json(), { error: 'Too many requests. Please try again later.' });
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { submitToIndexNow, regenerateSitemaps, renderSitemap } from '../src/utils/sitemap.js';
+
+const KEY = 'a1b2c3d4e5f6';
+
+function createFetcher(response = new Response(null, { status: 202 })) {
+  const calls = [];
+  const fetcher = async (url, init) => {
+    calls.push({ url, init });
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  };
+  return { fetcher, calls };
+}
+
+test('submits changed paths with the key and its location', async () => {
+  const { fetcher, calls } = createFetcher();
+  const result = await submitToIndexNow(['/about', '/2024/05/my-post'], { DOMAIN: 'goevergreen.shop', INDEXNOW_KEY: KEY }, { fetcher });
+
+  assert.deepEqual(result, { ok: true, status: 202, submitted: 2 });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, 'https://api.indexnow.org/indexnow');
+  assert.equal(calls[0].init.method, 'POST');
+  assert.deepEqual(JSON.parse(calls[0].init.body), {
+    host: 'goevergreen.shop',
+    key: KEY,
+    keyLocation: `https://goevergreen.shop/${KEY}.txt`,
+    urlList: ['https://goevergreen.shop/about', 'https://goevergreen.shop/2024/05/my-post']
+  });
+});
+
+test('skips the request without a valid key or without changes', async () => {
+  const { fetcher, calls } = createFetcher();
+
+  assert.equal((await submitToIndexNow(['/about'], {}, { fetcher })).skipped, true);
+  assert.equal((await submitToIndexNow(['/about'], { INDEXNOW_KEY: 'short' }, { fetcher })).skipped, true);
+  assert.deepEqual(await submitToIndexNow([], { INDEXNOW_KEY: KEY }, { fetcher }), { ok: true, submitted: 0 });
+  assert.equal(calls.length, 0);
+});
+
+test('reports rejected and failed submissions without throwing', async () => {
+  const rejected = createFetcher(new Response(null, { status: 403 }));
+  assert.deepEqual(
+    await submitToIndexNow(['/about'], { INDEXNOW_KEY: KEY }, { fetcher: rejected.fetcher }),
+    { ok: false, status: 403, submitted: 0 }
+  );
+
+  const failed = createFetcher(new Error('network down'));
+  const result = await submitToIndexNow(['/about'], { INDEXNOW_KEY: KEY }, { fetcher: failed.fetcher });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'network down');
+});
+
+test('regeneration fails instead of publishing only the static routes when WordPress is down', async t => {
+  t.mock.method(globalThis, 'fetch', async () => {
+    throw new Error('WordPress unavailable');
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  await assert.rejects(regenerateSitemaps({}, { '/': 'home' }), /keeping the stored sitemap/);
+});
+
+test('lists only the worker routes before the first rebuild, without crawling WordPress', async t => {
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+    throw new Error('WordPress must not be fetched');
+  });
+  const emptyDb = {
+    prepare() {
+      return { all: async () => ({ results: [] }) };
+    }
+  };
+  const env = { DOMAIN: 'goevergreen.shop', DB: emptyDb };
+  const routes = { '/': 'home', '/about': 'about', '/newsletter/confirm': 'newsletter-confirm' };
+
+  const pages = await renderSitemap('/sitemap-pages.xml', env, routes);
+  assert.match(pages, /<loc>https:\/\/goevergreen\.shop\/<\/loc>/);
+  assert.match(pages, /<loc>https:\/\/goevergreen\.shop\/about<\/loc>/);
+  assert.doesNotMatch(pages, /newsletter/);
+  assert.match(await renderSitemap('/sitemap.xml', env, routes), /sitemap-pages\.xml/);
+  assert.equal(fetchMock.mock.callCount(), 0);
+});
@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodeEntities } from '../src/utils/wordpress-api.js';
+
+test('decodes named, decimal and hex entities', () => {
+  assert.equal(decodeEntities('Tea &amp; Yoga &#8211; &#x1F33F; &hellip;'), 'Tea & Yoga – 🌿 …');
+});
+
+test('leaves entities past the last Unicode code point as written', () => {
+  assert.equal(decodeEntities('Before &#99999999; &#x110000; after &amp;'), 'Before &#99999999; &#x110000; after &');
+});